@@ -0,0 +1,304 @@
+// Partes comunes del HTML de las agendas: documento con los estilos base del
+// tema, cabecera, leyenda, colores por estado y cuadrícula de horas.
+//
+// Cada plantilla solo añade los estilos y el marcado de su propio layout
+// (columnas por miembro, por día o lista). Igual que en las plantillas, todo
+// lo interpolado se escapa y los valores de CSS pasan por css().
+
+const { html, css } = require('./html');
+const { formatMinutes } = require('./i18n');
+const { computeHourRange } = require('./agenda');
+
+// Alto en px de cada media hora de la cuadrícula
+const HALF_HOUR_HEIGHT = 60;
+
+// Función para armar el documento completo: reset, fuente y fondo del tema y
+// estilos de la cabecera van antes de los `styles` de la plantilla
+function agendaDocument({ settings, theme, styles, body }) {
+  return html`
+    <!DOCTYPE html>
+    <html lang="${settings.language}">
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+
+        ${theme.fontUrl && html`
+        @font-face {
+          font-family: 'AgendaTheme';
+          src: url(${css(theme.fontUrl)});
+        }
+        `}
+        body {
+          font-family: ${css(theme.fontUrl ? `'AgendaTheme', ${theme.fontFamily}` : theme.fontFamily)};
+          background: ${css(theme.backgroundColor)};
+          padding: 20px;
+          line-height: 1.4;
+        }
+
+        .header {
+          text-align: center;
+          margin-bottom: 30px;
+          background: white;
+          padding: 25px;
+          border-radius: 12px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+
+        .header-logo {
+          display: block;
+          max-width: 240px;
+          max-height: 80px;
+          margin: 0 auto 12px;
+        }
+
+        .header h1 {
+          color: ${css(theme.accentColor)};
+          font-size: 42px;
+          margin-bottom: 8px;
+          font-weight: 700;
+        }
+
+        .header h2 {
+          color: #64748b;
+          font-size: 23px;
+          font-weight: 500;
+        }
+
+        ${styles}
+      </style>
+    </head>
+    <body>
+      ${body}
+    </body>
+    </html>
+  `;
+}
+
+// Función para pintar la cabecera: logo, título con el nombre de la
+// organización (`{organization}`), subtítulo y lo que la plantilla añada debajo
+function agendaHeader({ logo, title, organization, subtitle, extra }) {
+  return html`
+    <div class="header">
+      ${logo && html`<img class="header-logo" src="${logo}" alt="">`}
+      <h1>${title.replace('{organization}', () => organization.name)}</h1>
+      <h2>${subtitle}</h2>
+      ${extra}
+    </div>
+  `;
+}
+
+// Función para generar los colores de cada estado: los selectores de `filled`
+// toman fondo, borde y texto; los de `bordered`, solo el color del borde
+function statusStyles(appointmentStates, { filled = [], bordered = [] }) {
+  const selectors = (list, status) => css(list.map(selector => `${selector}.${status}`).join(', '));
+
+  return Object.entries(appointmentStates).map(([status, colors]) => html`
+    ${filled.length > 0 && html`
+    ${selectors(filled, status)} {
+      background: ${css(colors.bgColor)};
+      border-color: ${css(colors.borderColor)};
+      color: ${css(colors.textColor)};
+    }
+    `}
+    ${bordered.length > 0 && html`
+    ${selectors(bordered, status)} {
+      border-color: ${css(colors.borderColor)};
+    }
+    `}
+  `);
+}
+
+// Estilos de la leyenda de estados (los colores salen de statusStyles)
+const legendStyles = html`
+  .legend {
+    display: flex;
+    justify-content: center;
+    gap: 20px;
+    padding: 20px;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+    flex-wrap: wrap;
+  }
+
+  .legend-item {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 16px;
+    font-weight: 500;
+  }
+
+  .legend-dot {
+    width: 16px;
+    height: 16px;
+    border-radius: 4px;
+    border: 1px solid;
+  }
+`;
+
+// Función para pintar la leyenda con la etiqueta de cada estado
+function agendaLegend(appointmentStates) {
+  return html`
+    <div class="legend">
+      ${Object.entries(appointmentStates).map(([status, config]) => html`
+        <div class="legend-item">
+          <div class="legend-dot ${status}"></div>
+          <span>${config.label}</span>
+        </div>
+      `)}
+    </div>
+  `;
+}
+
+// Función para calcular la cuadrícula de horas de un conjunto de citas:
+// horas visibles, minuto inicial, minutos totales y alto de cada columna
+function computeTimeGrid(appointments) {
+  const { startHour, endHour } = computeHourRange(appointments);
+
+  return {
+    startHour,
+    endHour,
+    startMinutes: startHour * 60,
+    totalMinutes: (endHour - startHour) * 60,
+    height: (endHour - startHour) * 2 * HALF_HOUR_HEIGHT
+  };
+}
+
+// Función para generar los estilos de la cuadrícula: contenedor, columna de
+// horas de `timeColumnWidth` px seguida de `columns` columnas iguales, líneas
+// cada media hora y la caja de cada cita. La plantilla añade las cabeceras de
+// columna y el texto de las citas.
+function calendarStyles({ theme, columns, timeColumnWidth = 100 }) {
+  return html`
+    .calendar-container {
+      background: white;
+      border-radius: 12px;
+      overflow: hidden;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+      margin-bottom: 20px;
+    }
+
+    .calendar-header,
+    .calendar-body {
+      display: grid;
+      grid-template-columns: ${timeColumnWidth}px repeat(${columns}, 1fr);
+    }
+
+    .calendar-header {
+      border-bottom: 2px solid #cbd5e1;
+    }
+
+    .calendar-body {
+      position: relative;
+    }
+
+    .time-header {
+      background: #f1f5f9;
+      font-weight: 600;
+      color: #475569;
+      text-align: center;
+      padding: 16px 8px;
+      border-right: 1px solid #cbd5e1;
+      font-size: 17px;
+    }
+
+    .time-column {
+      background: ${css(theme.backgroundColor)};
+      border-right: 1px solid #cbd5e1;
+    }
+
+    .time-slot {
+      height: ${HALF_HOUR_HEIGHT}px;
+      border-bottom: 1px solid #cbd5e1;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 17px;
+      font-weight: 500;
+      color: #64748b;
+    }
+
+    .calendar-column {
+      position: relative;
+      border-right: 1px solid #cbd5e1;
+      background: white;
+    }
+
+    .time-grid-line {
+      position: absolute;
+      left: 0;
+      right: 0;
+      height: 1px;
+      background: #cbd5e1;
+      z-index: 1;
+    }
+
+    .appointment {
+      position: absolute;
+      border-radius: 6px;
+      border: 1px solid;
+      z-index: 10;
+      overflow: hidden;
+    }
+  `;
+}
+
+// Función para pintar la columna de horas (una fila cada media hora)
+function timeColumn(grid, settings) {
+  return html`
+    <div class="time-column">
+      ${Array.from({ length: (grid.endHour - grid.startHour) * 2 }, (_, i) =>
+        html`<div class="time-slot">${formatMinutes(grid.startMinutes + i * 30, settings)}</div>`
+      )}
+    </div>
+  `;
+}
+
+// Función para pintar una columna de la cuadrícula con sus citas, ya
+// repartidas con layoutAppointments. Cada cita ocupa el ancho de su columna
+// del bloque, con `edgeGap` px a los bordes y 2px entre citas;
+// `renderAppointment` pinta su contenido.
+function calendarColumn(grid, appointments, { edgeGap = 4, renderAppointment }) {
+  return html`
+    <div class="calendar-column" style="height: ${grid.height}px;">
+      <!-- Grid lines every 30 minutes -->
+      ${Array.from({ length: (grid.endHour - grid.startHour) * 2 + 1 }, (_, i) =>
+        html`<div class="time-grid-line" style="top: ${i * HALF_HOUR_HEIGHT}px;"></div>`
+      )}
+
+      <!-- Appointments -->
+      ${appointments.map(appointment => {
+        const topPosition = ((appointment.startMinutes - grid.startMinutes) / grid.totalMinutes) * grid.height;
+        const height = (appointment.duration / grid.totalMinutes) * grid.height;
+        const columnWidth = Number((100 / appointment.columns).toFixed(4));
+        const leftGap = appointment.column === 0 ? edgeGap : 2;
+        const rightGap = appointment.column === appointment.columns - 1 ? edgeGap : 2;
+
+        return html`
+          <div class="appointment ${appointment.status}"
+               style="top: ${topPosition}px; height: ${height}px; left: calc(${appointment.column * columnWidth}% + ${leftGap}px); width: calc(${columnWidth}% - ${leftGap + rightGap}px);">
+            ${renderAppointment(appointment)}
+          </div>
+        `;
+      })}
+    </div>
+  `;
+}
+
+module.exports = {
+  agendaDocument,
+  agendaHeader,
+  statusStyles,
+  legendStyles,
+  agendaLegend,
+  computeTimeGrid,
+  calendarStyles,
+  timeColumn,
+  calendarColumn
+};
@@ -0,0 +1,401 @@
+// Modelo común de las plantillas de agenda: estados, tema de marca,
+// normalización de citas, reparto de solapes y schemas de los datos.
+
+// Estados reales del sistema (las etiquetas salen del idioma)
+const APPOINTMENT_STATES = {
+  'programada': { 
+    bgColor: '#f3f4f6', 
+    borderColor: '#9ca3af', 
+    textColor: '#374151' 
+  },
+  'confirmada': { 
+    bgColor: '#dcfce7', 
+    borderColor: '#16a34a', 
+    textColor: '#166534' 
+  },
+  'en_curso': { 
+    bgColor: '#e0e7ff', 
+    borderColor: '#6366f1', 
+    textColor: '#4338ca' 
+  },
+  'completada': { 
+    bgColor: '#dbeafe', 
+    borderColor: '#3b82f6', 
+    textColor: '#1e40af' 
+  },
+  'cancelada': { 
+    bgColor: '#fee2e2', 
+    borderColor: '#dc2626', 
+    textColor: '#991b1b' 
+  },
+  'no_asistio': { 
+    bgColor: '#fed7aa', 
+    borderColor: '#ea580c', 
+    textColor: '#9a3412' 
+  }
+};
+
+// Tema por defecto: es el aspecto original de la agenda. Cada organización
+// puede sobrescribir cualquier campo; lo que no indique se toma de aquí.
+const DEFAULT_THEME = {
+  // Cabeceras de miembro
+  primaryColor: '#000000',
+  primaryTextColor: '#ffffff',
+  // Título de la cabecera
+  accentColor: '#1e293b',
+  backgroundColor: '#f8fafc',
+  fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  // Fuente subida al almacén de assets (asset://...woff2); se usa antes que fontFamily
+  fontUrl: null,
+  logo: null,
+  // `{organization}` se sustituye por el nombre; sin texto se usa el del idioma
+  headerText: null,
+  // Colores y etiqueta por estado, p. ej. { confirmada: { bgColor: '#d1fae5' } }
+  statusColors: {}
+};
+
+// Función para combinar temas en orden: cada uno sobrescribe al anterior y
+// `statusColors` se combina estado por estado
+function mergeThemes(...themes) {
+  return themes.filter(Boolean).reduce((merged, theme) => {
+    const statusColors = { ...merged.statusColors };
+
+    Object.entries(theme.statusColors || {}).forEach(([status, colors]) => {
+      statusColors[status] = { ...statusColors[status], ...colors };
+    });
+
+    return { ...merged, ...theme, statusColors };
+  }, { statusColors: {} });
+}
+
+// Horas aceptadas: H:MM, HH:MM y HH:MM:SS (como las devuelve Postgres)
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::\d{2})?$/;
+const DAY_MINUTES = 24 * 60;
+// Duración cuando la cita no trae end_time ni duración de servicio
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Función para convertir tiempo a minutos desde medianoche
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Función para convertir minutos a formato HH:MM (24:00 para el final del día)
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+// Función para leer una hora como minutos desde medianoche (null si no es válida)
+function parseTime(value) {
+  const match = typeof value === 'string' && value.trim().match(TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours * 60 + minutes > DAY_MINUTES) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+// Función para llevar las citas a una forma que la maquetación pueda usar sin
+// comprobar nada más. Los datos llegan de la base de datos tal cual, así que:
+//
+// - sin contacto o sin servicio (cliente de paso, servicio borrado) se usan
+//   textos de relleno
+// - sin end_time (o con uno inválido) se calcula con la duración del servicio
+// - una cita que cruza la medianoche se corta a las 24:00
+// - una cita sin hora de inicio válida o un estado desconocido no rompen la
+//   imagen: la cita se omite o pasa a "programada"
+//
+// Devuelve el miembro y la lista de avisos { path, message } de lo que se
+// corrigió; `basePath` es la ruta del grupo dentro de `data`.
+function normalizeMember(group, messages, basePath) {
+  const warnings = [];
+  const warn = (path, message) => warnings.push({ path, message });
+  const member = group.member || {};
+  const appointments = [];
+
+  (group.appointments || []).forEach((apt, index) => {
+    const path = `${basePath}.appointments.${index}`;
+
+    const startMinutes = parseTime(apt.start_time);
+    if (startMinutes === null || startMinutes >= DAY_MINUTES) {
+      warn(`${path}.start_time`, `hora de inicio inválida (${JSON.stringify(apt.start_time)}): se omite la cita`);
+      return;
+    }
+
+    const services = apt.services || {};
+    // Postgres puede devolver la duración como texto ("30")
+    const serviceDuration = Number(services.duration_minutes);
+    const duration = Number.isFinite(serviceDuration) && serviceDuration > 0 ? serviceDuration : DEFAULT_DURATION_MINUTES;
+    let endMinutes = apt.end_time === undefined || apt.end_time === null ? null : parseTime(apt.end_time);
+
+    if (endMinutes === null || endMinutes === startMinutes) {
+      if (apt.end_time !== undefined && apt.end_time !== null) {
+        warn(`${path}.end_time`, `hora de fin inválida (${JSON.stringify(apt.end_time)}): se usan ${duration} minutos`);
+      }
+      endMinutes = startMinutes + duration;
+    } else if (endMinutes < startMinutes) {
+      warn(`${path}.end_time`, 'la cita cruza la medianoche: se corta a las 24:00');
+      endMinutes = DAY_MINUTES;
+    }
+
+    if (endMinutes > DAY_MINUTES) {
+      warn(`${path}.end_time`, 'la cita termina después de medianoche: se corta a las 24:00');
+      endMinutes = DAY_MINUTES;
+    }
+
+    let status = apt.status || 'programada';
+    if (!APPOINTMENT_STATES[status]) {
+      warn(`${path}.status`, `estado desconocido (${JSON.stringify(apt.status)}): se muestra como programada`);
+      status = 'programada';
+    }
+
+    const contact = apt.contacts || {};
+    const client = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+
+    appointments.push({
+      start_time: minutesToTime(startMinutes),
+      end_time: minutesToTime(endMinutes),
+      client: client || messages.unregisteredClient,
+      service: services.name || messages.unknownService,
+      status,
+      // Solo los usa la agenda por profesional
+      client_phone: contact.phone ? [contact.country_code, contact.phone].filter(Boolean).join(' ') : null,
+      notes: typeof apt.notes === 'string' && apt.notes.trim() ? apt.notes.trim() : null,
+      // Solo lo usan las vistas de varios días
+      appointment_date: apt.appointment_date || null,
+      path
+    });
+  });
+
+  return {
+    member: {
+      id: member.id || 'unknown',
+      name: member.first_name || member.last_name
+        ? [member.first_name, member.last_name].filter(Boolean).join(' ')
+        : messages.unassigned,
+      appointments
+    },
+    warnings
+  };
+}
+
+// Función para normalizar todos los grupos de una agenda (array u objeto
+// indexado por miembro). Devuelve los miembros y los avisos de todos ellos.
+function normalizeMembers(memberGroups, messages) {
+  const results = Object.entries(memberGroups).map(([memberKey, group]) =>
+    normalizeMember(group, messages, `members.${memberKey}`)
+  );
+
+  return {
+    members: results.map(result => result.member),
+    warnings: results.flatMap(result => result.warnings)
+  };
+}
+
+// Función para repartir en columnas las citas de un miembro que se solapan.
+//
+// Las citas se agrupan en bloques: un bloque sigue abierto mientras alguna de
+// sus citas no haya terminado. Dentro de cada bloque cada cita ocupa la primera
+// columna libre y el bloque se divide en tantas columnas como necesite, así
+// que una cita que no se solapa con ninguna conserva el ancho completo aunque
+// haya solapes en otra parte del día.
+//
+// Añade a cada cita `column` (desde 0), `columns` (las de su bloque),
+// `startMinutes`, `endMinutes` y `duration`.
+function layoutAppointments(appointments) {
+  const sorted = appointments
+    .map(appointment => {
+      const startMinutes = timeToMinutes(appointment.start_time);
+      const endMinutes = timeToMinutes(appointment.end_time);
+      return { ...appointment, startMinutes, endMinutes, duration: endMinutes - startMinutes };
+    })
+    .sort((a, b) => a.startMinutes - b.startMinutes || b.endMinutes - a.endMinutes);
+
+  let block = [];
+  // Minuto en que queda libre cada columna del bloque actual
+  let columnEnds = [];
+  let blockEnd = -1;
+
+  const closeBlock = () => {
+    block.forEach(appointment => {
+      appointment.columns = columnEnds.length;
+    });
+    block = [];
+    columnEnds = [];
+  };
+
+  sorted.forEach(appointment => {
+    if (appointment.startMinutes >= blockEnd) {
+      closeBlock();
+    }
+
+    let column = columnEnds.findIndex(columnEnd => columnEnd <= appointment.startMinutes);
+    if (column === -1) {
+      column = columnEnds.length;
+    }
+    columnEnds[column] = appointment.endMinutes;
+
+    appointment.column = column;
+    block.push(appointment);
+    blockEnd = Math.max(blockEnd, appointment.endMinutes);
+  });
+  closeBlock();
+
+  return sorted;
+}
+
+// Función para resolver el aspecto de una agenda: tema combinado con el de
+// por defecto, colores y etiquetas por estado (las del idioma salvo que el
+// tema las cambie) y logo
+function resolveAgendaStyle(organization, messages) {
+  const theme = mergeThemes(DEFAULT_THEME, organization.theme);
+  const statusLabels = Object.fromEntries(
+    Object.entries(messages.statuses).map(([status, label]) => [status, { label }])
+  );
+  const appointmentStates = mergeThemes(
+    { statusColors: APPOINTMENT_STATES },
+    { statusColors: statusLabels },
+    theme
+  ).statusColors;
+
+  return {
+    theme,
+    appointmentStates,
+    logo: theme.logo || organization.logo
+  };
+}
+
+// Función para calcular las horas visibles de la cuadrícula: de la primera a la
+// última cita con una hora de margen, o de 8:00 a 18:00 si no hay citas
+function computeHourRange(appointments) {
+  if (appointments.length === 0) {
+    return { startHour: 8, endHour: 18 };
+  }
+
+  const earliestTime = Math.min(...appointments.map(appointment => timeToMinutes(appointment.start_time)));
+  const latestTime = Math.max(...appointments.map(appointment => timeToMinutes(appointment.end_time)));
+
+  return {
+    startHour: Math.floor(Math.max(0, earliestTime - 60) / 60),
+    endHour: Math.ceil(Math.min(DAY_MINUTES, latestTime + 60) / 60)
+  };
+}
+
+// Función para obtener la fecha YYYY-MM-DD `offset` días después de otra.
+// La fecha debe haber pasado por `dateSchema`: una inexistente lanza RangeError.
+function addDays(dateString, offset) {
+  const date = new Date(dateString + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+}
+
+// Fecha YYYY-MM-DD que existe en el calendario (formato registrado en lib/validation)
+const dateSchema = { type: 'string', format: 'date' };
+
+const COLOR_PATTERN = '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$';
+const ASSET_PATTERN = '^asset://[A-Za-z0-9_-]+/[A-Za-z0-9][A-Za-z0-9._-]*$';
+
+const statusColorsSchema = {
+  type: 'object',
+  properties: {
+    bgColor: { type: 'string', pattern: COLOR_PATTERN },
+    borderColor: { type: 'string', pattern: COLOR_PATTERN },
+    textColor: { type: 'string', pattern: COLOR_PATTERN },
+    label: { type: 'string', minLength: 1, maxLength: 40 }
+  },
+  additionalProperties: false
+};
+
+// Tema de marca de una organización. Los colores son hexadecimales y la
+// fuente solo admite nombres de familia, para que nada se salga del CSS.
+const themeSchema = {
+  type: 'object',
+  properties: {
+    primaryColor: { type: 'string', pattern: COLOR_PATTERN },
+    primaryTextColor: { type: 'string', pattern: COLOR_PATTERN },
+    accentColor: { type: 'string', pattern: COLOR_PATTERN },
+    backgroundColor: { type: 'string', pattern: COLOR_PATTERN },
+    fontFamily: { type: 'string', maxLength: 200, pattern: '^[A-Za-z0-9 ,\'"_-]+$' },
+    fontUrl: { type: 'string', pattern: '^asset://[A-Za-z0-9_-]+/[A-Za-z0-9][A-Za-z0-9._-]*\\.(woff2?|ttf|otf)$' },
+    logo: { type: 'string', pattern: ASSET_PATTERN },
+    headerText: { type: 'string', minLength: 1, maxLength: 120 },
+    statusColors: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(APPOINTMENT_STATES).map(status => [status, statusColorsSchema])),
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+// Organización de las agendas: nombre, logo y tema de marca
+const organizationSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    // Forma parte del nombre de archivo por defecto: mismo formato que en /themes/:organizationId
+    id: { type: ['string', 'number'], maxLength: 100, pattern: '^[A-Za-z0-9_-]+$' },
+    name: { type: 'string' },
+    // Logo subido al almacén de assets; se embebe al renderizar
+    logo: { type: 'string', pattern: ASSET_PATTERN },
+    theme: themeSchema
+  }
+};
+
+// Los valores nulos se aceptan: la normalización pone textos de relleno u
+// omite la cita con un aviso en lugar de rechazar la agenda entera
+const memberGroupSchema = {
+  type: 'object',
+  required: ['appointments'],
+  properties: {
+    member: {
+      type: ['object', 'null'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        first_name: { type: ['string', 'null'] },
+        last_name: { type: ['string', 'null'] }
+      }
+    },
+    appointments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          appointment_date: { type: ['string', 'null'] },
+          start_time: { type: ['string', 'null'] },
+          end_time: { type: ['string', 'null'] },
+          status: { type: ['string', 'null'] },
+          notes: { type: ['string', 'null'] },
+          contacts: { type: ['object', 'null'] },
+          services: { type: ['object', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  APPOINTMENT_STATES,
+  DEFAULT_THEME,
+  mergeThemes,
+  timeToMinutes,
+  minutesToTime,
+  normalizeMember,
+  normalizeMembers,
+  layoutAppointments,
+  resolveAgendaStyle,
+  computeHourRange,
+  addDays,
+  dateSchema,
+  themeSchema,
+  organizationSchema,
+  memberGroupSchema
+};
@@ -0,0 +1,165 @@
+// Almacén de assets (logos, imágenes y fuentes) por tenant.
+//
+// Los assets se suben una vez y se guardan en su propio bucket como
+// `<tenant>/<nombre>`. El HTML y las plantillas los referencian como
+// `asset://<tenant>/<nombre>` y, antes de renderizar, cada referencia se
+// sustituye por una data: URL, así que Chromium no hace ninguna petición
+// de red para cargarlos.
+
+const ASSET_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+};
+
+const ASSET_EXTENSIONS = Object.keys(ASSET_CONTENT_TYPES);
+
+// Referencia a un asset en una posición de URL del HTML: un atributo `src` o
+// `href` entre comillas o un `url(...)` de CSS. El texto libre (notas, nombres)
+// nunca se resuelve: `html` escapa comillas y paréntesis, así que un texto
+// escapado no puede formar ninguna de estas posiciones.
+const ASSET_REF_PATTERN = /(\b(?:src|href)\s*=\s*["']|\burl\(\s*["']?)asset:\/\/([A-Za-z0-9_-]+)\/([A-Za-z0-9][A-Za-z0-9._-]*)/gi;
+
+// Assets en memoria como data: URL, para no descargarlos en cada render
+const INLINE_CACHE_TTL = 5 * 60 * 1000;
+const INLINE_CACHE_MAX_ENTRIES = 200;
+
+// Función para obtener el content type a partir de la extensión
+function getAssetContentType(name) {
+  const extension = name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+  return ASSET_CONTENT_TYPES[extension] || null;
+}
+
+function createAssetStore({ storage, bucket }) {
+  // `tenant/nombre` -> { dataUrl, expiresAt }
+  const inlineCache = new Map();
+
+  const keyFor = (tenant, name) => `${tenant}/${name}`;
+
+  async function put(tenant, name, buffer) {
+    await storage.upload(bucket, keyFor(tenant, name), buffer, {
+      contentType: getAssetContentType(name),
+      cacheControl: '3600'
+    });
+    inlineCache.delete(keyFor(tenant, name));
+  }
+
+  async function list(tenant) {
+    const objects = await storage.list(bucket, `${tenant}/`);
+
+    // Los assets son nombres planos; lo que va en subcarpetas (temas) no se lista
+    return objects.filter(object => !object.key.slice(tenant.length + 1).includes('/')).map(object => {
+      const name = object.key.slice(tenant.length + 1);
+      return {
+        name,
+        ref: `asset://${tenant}/${name}`,
+        contentType: getAssetContentType(name),
+        size: object.size,
+        lastModified: object.lastModified.toISOString()
+      };
+    });
+  }
+
+  async function remove(tenant, name) {
+    const key = keyFor(tenant, name);
+
+    if (!await storage.exists(bucket, key)) {
+      return false;
+    }
+
+    await storage.remove(bucket, [key]);
+    inlineCache.delete(key);
+    return true;
+  }
+
+  // Función para obtener un asset como data: URL (null si no existe)
+  async function loadDataUrl(tenant, name) {
+    const key = keyFor(tenant, name);
+    const cached = inlineCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.dataUrl;
+    }
+
+    let buffer;
+    try {
+      buffer = await storage.download(bucket, key);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const dataUrl = `data:${getAssetContentType(name)};base64,${buffer.toString('base64')}`;
+
+    if (inlineCache.size >= INLINE_CACHE_MAX_ENTRIES) {
+      inlineCache.delete(inlineCache.keys().next().value);
+    }
+    inlineCache.set(key, { dataUrl, expiresAt: Date.now() + INLINE_CACHE_TTL });
+
+    return dataUrl;
+  }
+
+  // Función para sustituir las referencias asset:// del HTML por data: URLs.
+  // Con `tenant` solo se permiten sus propios assets (403); un asset que no
+  // existe responde 422 con la referencia en `errors`.
+  async function inline(html, { tenant = null } = {}) {
+    const refs = [...new Set([...html.matchAll(ASSET_REF_PATTERN)].map(([, , assetTenant, name]) => `asset://${assetTenant}/${name}`))];
+
+    if (refs.length === 0) {
+      return html;
+    }
+
+    const resolved = new Map();
+    const errors = [];
+
+    for (const ref of refs) {
+      const [assetTenant, name] = ref.slice('asset://'.length).split('/');
+
+      if (tenant && assetTenant !== tenant) {
+        const forbiddenError = new Error(`El asset ${ref} no pertenece al tenant ${tenant}`);
+        forbiddenError.statusCode = 403;
+        throw forbiddenError;
+      }
+
+      const dataUrl = getAssetContentType(name) && await loadDataUrl(assetTenant, name);
+
+      if (dataUrl) {
+        resolved.set(ref, dataUrl);
+      } else {
+        errors.push({ path: 'assets', message: `no existe el asset ${ref}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      const missingError = new Error('Datos de entrada inválidos');
+      missingError.statusCode = 422;
+      missingError.errors = errors;
+      throw missingError;
+    }
+
+    return html.replace(ASSET_REF_PATTERN, (match, prefix, assetTenant, name) =>
+      prefix + resolved.get(`asset://${assetTenant}/${name}`)
+    );
+  }
+
+  return {
+    put,
+    list,
+    remove,
+    inline
+  };
+}
+
+module.exports = {
+  ASSET_EXTENSIONS,
+  createAssetStore
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+// Autenticación por API key con límites por tenant.
+//
+// Cada key pertenece a un tenant (organización) y define:
+//
+//   { key, tenant, prefix?, rateLimit?, dailyQuota?, enabled? }
+//
+// - `prefix`: carpeta de Storage donde se guardan sus imágenes (por defecto el tenant)
+// - `rateLimit`: peticiones por minuto
+// - `dailyQuota`: renders por día (UTC)
+// - `enabled: false`: la key existe pero se rechaza con 403
+//
+// Los contadores viven en memoria: con varias réplicas cada una aplica los
+// límites por separado.
+
+const DEFAULT_RATE_LIMIT = 60;
+const DEFAULT_DAILY_QUOTA = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+function createAuthError(statusCode, message, retryAfter) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (retryAfter) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+// Las keys se indexan por su hash: no se guardan en claro en memoria y la
+// búsqueda no compara la key recibida carácter a carácter
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Función para leer la key de `X-API-Key` o `Authorization: Bearer`
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+}
+
+// Función para obtener el inicio del día siguiente (UTC) en ms
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function createApiKeyAuth({ keys }) {
+  // sha256(key) -> { tenant, prefix, rateLimit, dailyQuota, enabled }
+  const keysByHash = new Map();
+  // sha256(key) -> contadores de la ventana y del día actuales
+  const usage = new Map();
+
+  keys.forEach(config => {
+    keysByHash.set(hashKey(config.key), {
+      tenant: config.tenant,
+      prefix: config.prefix || config.tenant,
+      rateLimit: config.rateLimit || DEFAULT_RATE_LIMIT,
+      dailyQuota: config.dailyQuota || DEFAULT_DAILY_QUOTA,
+      enabled: config.enabled !== false
+    });
+  });
+
+  function getUsage(keyHash, now) {
+    let current = usage.get(keyHash);
+
+    if (!current) {
+      current = { windowStart: now, requests: 0, dayEnd: nextUtcMidnight(now), renders: 0 };
+      usage.set(keyHash, current);
+    }
+
+    if (now - current.windowStart >= RATE_WINDOW_MS) {
+      current.windowStart = now;
+      current.requests = 0;
+    }
+
+    if (now >= current.dayEnd) {
+      current.dayEnd = nextUtcMidnight(now);
+      current.renders = 0;
+    }
+
+    return current;
+  }
+
+  // Middleware: identifica el tenant y aplica el rate limit por minuto.
+  // Sin keys configuradas la API queda abierta y `req.tenant` es null.
+  function authenticate(req, res, next) {
+    if (keysByHash.size === 0) {
+      req.tenant = null;
+      return next();
+    }
+
+    const apiKey = readApiKey(req);
+    if (!apiKey) {
+      return next(createAuthError(401, 'Falta la API key (cabecera X-API-Key o Authorization: Bearer)'));
+    }
+
+    const keyHash = hashKey(apiKey);
+    const config = keysByHash.get(keyHash);
+
+    if (!config) {
+      return next(createAuthError(401, 'API key inválida'));
+    }
+
+    if (!config.enabled) {
+      return next(createAuthError(403, `API key deshabilitada para el tenant ${config.tenant}`));
+    }
+
+    const now = Date.now();
+    const current = getUsage(keyHash, now);
+    const resetAt = current.windowStart + RATE_WINDOW_MS;
+
+    res.set({
+      'X-RateLimit-Limit': String(config.rateLimit),
+      'X-RateLimit-Remaining': String(Math.max(0, config.rateLimit - current.requests - 1)),
+      'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+    });
+
+    if (current.requests >= config.rateLimit) {
+      return next(createAuthError(
+        429,
+        `Límite de ${config.rateLimit} peticiones por minuto superado`,
+        Math.max(1, Math.ceil((resetAt - now) / 1000))
+      ));
+    }
+
+    current.requests++;
+    req.tenant = { id: config.tenant, prefix: config.prefix, keyHash, dailyQuota: config.dailyQuota };
+    next();
+  }
+
+  // Middleware: descuenta `count(req)` renders de la cuota diaria del tenant
+  function consumeQuota(count = () => 1) {
+    return (req, res, next) => {
+      if (!req.tenant) {
+        return next();
+      }
+
+      const renders = count(req);
+      const now = Date.now();
+      const current = getUsage(req.tenant.keyHash, now);
+      const remaining = Math.max(0, req.tenant.dailyQuota - current.renders);
+      const allowed = renders <= remaining;
+
+      res.set({
+        'X-Quota-Limit': String(req.tenant.dailyQuota),
+        'X-Quota-Remaining': String(allowed ? remaining - renders : remaining)
+      });
+
+      if (!allowed) {
+        return next(createAuthError(
+          429,
+          `Cuota diaria superada: se piden ${renders} renders y quedan ${remaining} de ${req.tenant.dailyQuota}`,
+          Math.max(1, Math.ceil((current.dayEnd - now) / 1000))
+        ));
+      }
+
+      current.renders += renders;
+      next();
+    };
+  }
+
+  // Función para exponer el uso por tenant sin revelar las keys
+  function stats() {
+    const now = Date.now();
+
+    return [...keysByHash.entries()].map(([keyHash, config]) => {
+      const current = getUsage(keyHash, now);
+      return {
+        tenant: config.tenant,
+        enabled: config.enabled,
+        rateLimit: config.rateLimit,
+        requestsThisMinute: current.requests,
+        dailyQuota: config.dailyQuota,
+        rendersToday: current.renders
+      };
+    });
+  }
+
+  return {
+    enabled: keysByHash.size > 0,
+    tenantPrefixes: [...new Set([...keysByHash.values()].map(config => config.prefix))],
+    authenticate,
+    consumeQuota,
+    stats
+  };
+}
+
+module.exports = {
+  createApiKeyAuth
+};
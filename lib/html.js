@@ -0,0 +1,89 @@
+// Interpolación segura para las plantillas HTML.
+//
+// `html` es una tagged template que escapa todo lo que se interpola:
+//
+//   html`<div class="client">${appointment.client}</div>`
+//
+// - strings, números y demás valores se escapan (`&`, `<`, `>`, `"`, `'` y
+//   paréntesis, para que un texto no forme un `url(asset://...)` que se embeba)
+// - `null`, `undefined` y `false` no pintan nada, para poder usar `cond && html`...``
+// - los arrays se concatenan, así que `items.map(item => html`...`)` no necesita join
+// - el resultado de otro `html` se inserta tal cual, ya estaba escapado
+//
+// HTML sin escapar solo entra de forma explícita con `raw(valor)`. Dentro de
+// <style> el escape de HTML no sirve (el navegador no decodifica entidades),
+// así que los valores de CSS pasan por `css(valor)`, que elimina lo que podría
+// cerrar la regla o el bloque.
+
+const SAFE_HTML = Symbol('safeHtml');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '(': '&#40;',
+  ')': '&#41;'
+};
+
+// Caracteres que no pueden aparecer en un valor de CSS interpolado
+const CSS_UNSAFE_PATTERN = /[<>{};\\\n\r]/g;
+
+function createSafeHtml(value) {
+  return Object.freeze({
+    [SAFE_HTML]: true,
+    value,
+    toString: () => value
+  });
+}
+
+function isSafeHtml(value) {
+  return Boolean(value && value[SAFE_HTML]);
+}
+
+// Función para escapar un texto para contenido o atributos HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'()]/g, character => HTML_ESCAPES[character]);
+}
+
+// Función para convertir un valor interpolado en HTML seguro
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (isSafeHtml(value)) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return createSafeHtml(
+    strings.reduce((result, string, index) => result + renderValue(values[index - 1]) + string)
+  );
+}
+
+// Función para insertar HTML sin escapar. Solo para contenido de confianza.
+function raw(value) {
+  return createSafeHtml(String(value));
+}
+
+// Función para insertar un valor dentro de <style> (colores, fuentes, selectores)
+function css(value) {
+  return createSafeHtml(String(value).replace(CSS_UNSAFE_PATTERN, ''));
+}
+
+module.exports = {
+  html,
+  raw,
+  css,
+  escapeHtml,
+  isSafeHtml
+};
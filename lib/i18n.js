@@ -0,0 +1,163 @@
+// Textos y formatos de fecha/hora de las plantillas por idioma.
+//
+// `locale` acepta el idioma (`es`, `en`, `pt`) o idioma-región (`en-GB`,
+// `pt-PT`): los textos salen del idioma y el formato de fecha de la región.
+// Sin región se usa la habitual de nuestros clientes (es-ES, en-US, pt-BR).
+// `timeFormat` elige reloj de 12 o 24 horas; sin él se usa el del idioma.
+
+const DEFAULT_LOCALE = 'es';
+
+const MESSAGES = {
+  es: {
+    dateLocale: 'es-ES',
+    timeFormat: '24h',
+    agendaTitle: '📅 Agenda Diaria {organization}',
+    multiDayTitle: '📅 Agenda {organization}',
+    timeColumn: 'Hora',
+    unassigned: 'Sin asignar',
+    unregisteredClient: 'Cliente sin registrar',
+    unknownService: 'Servicio no disponible',
+    noAppointments: 'Sin citas',
+    statuses: {
+      programada: 'Programada',
+      confirmada: 'Confirmada',
+      en_curso: 'En curso',
+      completada: 'Completada',
+      cancelada: 'Cancelada',
+      no_asistio: 'No asistió'
+    },
+    card: {
+      title: '✅ Cita confirmada',
+      client: 'Cliente',
+      service: 'Servicio',
+      member: 'Profesional',
+      date: 'Fecha',
+      time: 'Hora'
+    }
+  },
+  en: {
+    dateLocale: 'en-US',
+    timeFormat: '12h',
+    agendaTitle: '📅 Daily Agenda {organization}',
+    multiDayTitle: '📅 Schedule {organization}',
+    timeColumn: 'Time',
+    unassigned: 'Unassigned',
+    unregisteredClient: 'Walk-in client',
+    unknownService: 'Service unavailable',
+    noAppointments: 'No appointments',
+    statuses: {
+      programada: 'Scheduled',
+      confirmada: 'Confirmed',
+      en_curso: 'In progress',
+      completada: 'Completed',
+      cancelada: 'Cancelled',
+      no_asistio: 'No-show'
+    },
+    card: {
+      title: '✅ Appointment confirmed',
+      client: 'Client',
+      service: 'Service',
+      member: 'Professional',
+      date: 'Date',
+      time: 'Time'
+    }
+  },
+  pt: {
+    dateLocale: 'pt-BR',
+    timeFormat: '24h',
+    agendaTitle: '📅 Agenda Diária {organization}',
+    multiDayTitle: '📅 Agenda {organization}',
+    timeColumn: 'Horário',
+    unassigned: 'Sem profissional',
+    unregisteredClient: 'Cliente sem cadastro',
+    unknownService: 'Serviço indisponível',
+    noAppointments: 'Sem agendamentos',
+    statuses: {
+      programada: 'Agendada',
+      confirmada: 'Confirmada',
+      en_curso: 'Em andamento',
+      completada: 'Concluída',
+      cancelada: 'Cancelada',
+      no_asistio: 'Não compareceu'
+    },
+    card: {
+      title: '✅ Agendamento confirmado',
+      client: 'Cliente',
+      service: 'Serviço',
+      member: 'Profissional',
+      date: 'Data',
+      time: 'Horário'
+    }
+  }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+
+// Schemas para las plantillas que admiten idioma
+const localeSchema = { type: 'string', pattern: `^(${LOCALES.join('|')})(-[A-Z]{2})?$` };
+const timeFormatSchema = { type: 'string', enum: ['12h', '24h'] };
+
+// Función para resolver textos y formatos de un locale y reloj opcionales
+function getLocaleSettings(locale = DEFAULT_LOCALE, timeFormat) {
+  const [language, region] = locale.split('-');
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LOCALE];
+
+  return {
+    language: MESSAGES[language] ? language : DEFAULT_LOCALE,
+    messages,
+    dateLocale: region ? locale : messages.dateLocale,
+    hour12: (timeFormat || messages.timeFormat) === '12h'
+  };
+}
+
+// Función para formatear una fecha YYYY-MM-DD como "lunes, 15 de enero de 2024"
+function formatLongDate(dateString, settings) {
+  return new Date(dateString + 'T00:00:00').toLocaleDateString(settings.dateLocale, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// Función para formatear un rango de fechas YYYY-MM-DD como "19–25 de octubre de 2026"
+function formatDateRange(startDate, endDate, settings) {
+  return new Intl.DateTimeFormat(settings.dateLocale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  }).formatRange(new Date(startDate + 'T00:00:00Z'), new Date(endDate + 'T00:00:00Z'));
+}
+
+// Función para obtener el día de la semana abreviado ("lun", "Mon", "seg.")
+function formatWeekday(dateString, settings) {
+  return new Date(dateString + 'T00:00:00Z').toLocaleDateString(settings.dateLocale, {
+    weekday: 'short',
+    timeZone: 'UTC'
+  });
+}
+
+// Función para formatear minutos desde medianoche como hora del día (09:30 o 9:30 AM)
+function formatMinutes(minutes, settings) {
+  const dayMinutes = ((minutes % 1440) + 1440) % 1440;
+
+  return new Intl.DateTimeFormat(settings.dateLocale, {
+    hour: settings.hour12 ? 'numeric' : '2-digit',
+    minute: '2-digit',
+    hourCycle: settings.hour12 ? 'h12' : 'h23',
+    timeZone: 'UTC'
+  }).format(Date.UTC(1970, 0, 1, Math.floor(dayMinutes / 60), dayMinutes % 60));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  localeSchema,
+  timeFormatSchema,
+  getLocaleSettings,
+  formatLongDate,
+  formatDateRange,
+  formatWeekday,
+  formatMinutes
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+
+// Jobs de renderizado asíncronos.
+//
+// El almacenamiento se abstrae detrás de una interfaz mínima para poder
+// cambiar la implementación en memoria por una persistente (Redis, Postgres...)
+// sin tocar la cola:
+//
+//   create(job)          -> job
+//   get(id)              -> job | null
+//   update(id, changes)  -> job | null
+//
+// Todos los métodos son async.
+
+// Almacenamiento en memoria: los jobs terminados se eliminan tras `ttl` ms
+function createMemoryJobStore({ ttl }) {
+  const jobs = new Map();
+
+  function scheduleExpiry(id) {
+    setTimeout(() => jobs.delete(id), ttl).unref();
+  }
+
+  return {
+    async create(job) {
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    async get(id) {
+      return jobs.get(id) || null;
+    },
+
+    async update(id, changes) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+
+      Object.assign(job, changes);
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        scheduleExpiry(id);
+      }
+
+      return job;
+    }
+  };
+}
+
+// Intentos de entrega del callback y espera entre ellos (ms)
+const CALLBACK_RETRY_DELAYS = [0, 2000, 10000];
+
+// Segundos que se sugieren en Retry-After cuando la cola está llena
+const QUEUE_FULL_RETRY_AFTER = 30;
+
+// Espera (ms) antes de reintentar un job que encontró el pool de páginas
+// ocupado: se duplica en cada intento hasta el máximo
+const BUSY_RETRY_DELAY = 1000;
+const BUSY_RETRY_MAX_DELAY = 30000;
+
+// Función para notificar el resultado de un job a su callbackUrl.
+// `checkUrl(url)` (el filtro de red del sandbox) se consulta antes de cada
+// intento, porque el DNS puede cambiar entre reintentos; las redirecciones no
+// se siguen, para que una URL pública no lleve a un host interno.
+async function deliverCallback(job, checkUrl) {
+  const payload = {
+    jobId: job.id,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    finishedAt: job.finishedAt
+  };
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt < CALLBACK_RETRY_DELAYS.length; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, CALLBACK_RETRY_DELAYS[attempt]));
+
+    const verdict = await checkUrl(job.callbackUrl);
+    if (!verdict.allowed) {
+      return { delivered: false, attempts: attempt, error: `callbackUrl bloqueada (${verdict.reason})` };
+    }
+
+    try {
+      const response = await fetch(job.callbackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (response.ok) {
+        return { delivered: true, attempts: attempt + 1 };
+      }
+
+      lastError = `${response.status} ${response.statusText}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  return { delivered: false, attempts: CALLBACK_RETRY_DELAYS.length, error: lastError };
+}
+
+// Cola en proceso: ejecuta hasta `concurrency` jobs a la vez con `processJob(request)`.
+// Con `maxQueue` jobs esperando, `enqueue` rechaza con un 503 con `retryAfter`.
+// Si `processJob` falla con un 503 (p. ej. el pool de páginas está lleno de
+// peticiones síncronas), el job vuelve a la cola y se reintenta hasta
+// `maxAttempts` intentos; después falla con ese 503. Los jobs que esperan
+// para reintentarse cuentan para `maxQueue`.
+// `checkCallbackUrl(url)` decide si se puede entregar un callback ({ allowed, reason }).
+function createJobQueue({ store, processJob, concurrency, maxQueue = Infinity, maxAttempts = 10, checkCallbackUrl = async () => ({ allowed: true }) }) {
+  const pending = [];
+  let running = 0;
+  // Jobs reencolados que esperan su siguiente intento
+  let delayed = 0;
+
+  async function run(id) {
+    running++;
+
+    try {
+      const job = await store.get(id);
+      const attempts = job.attempts + 1;
+      await store.update(id, { status: 'processing', attempts, startedAt: new Date().toISOString() });
+
+      let finished;
+      try {
+        const result = await processJob(job.request);
+        finished = await store.update(id, {
+          status: 'completed',
+          result,
+          request: null,
+          finishedAt: new Date().toISOString()
+        });
+        console.log(`✅ Job ${id} completado`);
+      } catch (error) {
+        if (error.statusCode === 503 && attempts < maxAttempts) {
+          await store.update(id, { status: 'queued', startedAt: null });
+          console.warn(`⏳ Job ${id} reencolado (intento ${attempts}/${maxAttempts}): ${error.message}`);
+          delayed++;
+          setTimeout(() => {
+            delayed--;
+            pending.push(id);
+            pump();
+          }, Math.min(BUSY_RETRY_DELAY * 2 ** (attempts - 1), BUSY_RETRY_MAX_DELAY));
+          return;
+        }
+
+        finished = await store.update(id, {
+          status: 'failed',
+          error: {
+            message: error.message,
+            ...(error.errors && { errors: error.errors })
+          },
+          request: null,
+          finishedAt: new Date().toISOString()
+        });
+        console.error(`❌ Job ${id} falló:`, error.message);
+      }
+
+      if (finished.callbackUrl) {
+        // El callback no ocupa cupo de la cola
+        deliverCallback(finished, checkCallbackUrl).then(callback => {
+          if (!callback.delivered) {
+            console.error(`⚠️ Callback del job ${id} no entregado: ${callback.error}`);
+          }
+          return store.update(id, { callback });
+        }).catch(error => {
+          console.error(`❌ Error registrando callback del job ${id}:`, error);
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Error procesando job ${id}:`, error);
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  // Función para encolar una petición de render y devolver el job creado.
+  // `tenant` identifica al dueño del job para que nadie más pueda consultarlo.
+  async function enqueue(request, { callbackUrl, tenant } = {}) {
+    if (pending.length + delayed >= maxQueue) {
+      const error = new Error('Cola de jobs llena, inténtalo más tarde');
+      error.statusCode = 503;
+      error.retryAfter = QUEUE_FULL_RETRY_AFTER;
+      throw error;
+    }
+
+    const job = await store.create({
+      id: crypto.randomUUID(),
+      status: 'queued',
+      tenant: tenant || null,
+      request,
+      callbackUrl: callbackUrl || null,
+      attempts: 0,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    });
+
+    pending.push(job.id);
+    pump();
+
+    return job;
+  }
+
+  function stats() {
+    return {
+      concurrency,
+      running,
+      queued: pending.length + delayed,
+      maxQueue
+    };
+  }
+
+  return {
+    store,
+    enqueue,
+    stats
+  };
+}
+
+// Función para exponer un job sin la petición original (puede pesar varios MB)
+function toPublicJob(job) {
+  const { request, ...publicJob } = job;
+  return publicJob;
+}
+
+module.exports = {
+  createMemoryJobStore,
+  createJobQueue,
+  toPublicJob
+};
@@ -0,0 +1,146 @@
+// Pool de páginas de Puppeteer con concurrencia limitada.
+//
+// Mantiene hasta `size` páginas abiertas y reutiliza las que quedan libres.
+// Las peticiones que llegan con todas las páginas ocupadas esperan en una
+// cola FIFO; si la cola está llena o la espera supera `queueTimeout`, se
+// rechazan con un error 503 que incluye `retryAfter` (segundos).
+
+function createBusyError(message, retryAfter) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function createPagePool({ getBrowser, isCurrentBrowser = () => true, size, maxQueue, queueTimeout }) {
+  const idlePages = [];
+  const waiters = [];
+  let totalPages = 0;
+  let activeRenders = 0;
+
+  const retryAfter = Math.max(1, Math.ceil(queueTimeout / 1000));
+
+  // Función para saber si una página inactiva todavía se puede usar
+  function isUsable(page) {
+    const browser = page.browser();
+    return !page.isClosed() && browser.isConnected() && isCurrentBrowser(browser);
+  }
+
+  // Función para obtener una página libre o abrir una nueva
+  async function takePage() {
+    while (idlePages.length > 0) {
+      const page = idlePages.pop();
+      if (isUsable(page)) {
+        return page;
+      }
+      totalPages--;
+    }
+
+    totalPages++;
+    try {
+      const browser = await getBrowser();
+      return await browser.newPage();
+    } catch (error) {
+      totalPages--;
+      throw error;
+    }
+  }
+
+  // Función para obtener una página, esperando turno si el pool está lleno
+  async function acquire() {
+    if (totalPages < size || idlePages.length > 0) {
+      activeRenders++;
+      try {
+        return await takePage();
+      } catch (error) {
+        activeRenders--;
+        throw error;
+      }
+    }
+
+    if (waiters.length >= maxQueue) {
+      throw createBusyError('Servicio ocupado: la cola de renderizado está llena', retryAfter);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(createBusyError('Servicio ocupado: tiempo de espera en cola agotado', retryAfter));
+      }, queueTimeout);
+
+      waiters.push(waiter);
+    });
+  }
+
+  // Función para devolver una página al pool. Con `discard` se cierra en vez
+  // de reutilizarse (p. ej. tras un error a mitad de render).
+  async function release(page, { discard = false } = {}) {
+    let reusable = !discard && isUsable(page);
+
+    if (reusable) {
+      try {
+        // Descargar el contenido anterior (scripts, timers, memoria)
+        await page.goto('about:blank');
+      } catch (error) {
+        reusable = false;
+      }
+    }
+
+    if (!reusable) {
+      totalPages--;
+      page.close().catch(() => {});
+    }
+
+    const waiter = waiters.shift();
+
+    if (!waiter) {
+      activeRenders--;
+      if (reusable) {
+        idlePages.push(page);
+      }
+      return;
+    }
+
+    // Pasar el turno al siguiente de la cola sin liberar el cupo
+    clearTimeout(waiter.timer);
+    if (reusable) {
+      waiter.resolve(page);
+      return;
+    }
+
+    takePage().then(waiter.resolve, (error) => {
+      activeRenders--;
+      waiter.reject(error);
+    });
+  }
+
+  // Función para cerrar las páginas inactivas (p. ej. antes de reiniciar el browser)
+  async function drain() {
+    const pages = idlePages.splice(0);
+    totalPages -= pages.length;
+    await Promise.all(pages.map(page => page.close().catch(() => {})));
+  }
+
+  function stats() {
+    return {
+      concurrency: size,
+      activeRenders,
+      idlePages: idlePages.length,
+      queueDepth: waiters.length,
+      maxQueue
+    };
+  }
+
+  return {
+    acquire,
+    release,
+    drain,
+    stats
+  };
+}
+
+module.exports = {
+  createPagePool
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+
+// Medición de memoria de un árbol de procesos vía /proc (solo Linux).
+// Chromium reparte el trabajo en varios procesos (zygote, renderers, GPU),
+// así que se suma el RSS del proceso principal y de todos sus descendientes.
+// En sistemas sin /proc devuelve 0 y el reciclado por memoria no se activa.
+
+function readRssKb(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+    return match ? Number(match[1]) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function readChildPids(pid) {
+  try {
+    // Cada hilo lleva su propia lista de hijos
+    return fs.readdirSync(`/proc/${pid}/task`).flatMap(tid => {
+      const children = fs.readFileSync(`/proc/${pid}/task/${tid}/children`, 'utf8').trim();
+      return children ? children.split(/\s+/).map(Number) : [];
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+// Función para obtener el RSS total (MB) de un proceso y sus descendientes
+function getProcessTreeRssMb(pid) {
+  if (!pid) {
+    return 0;
+  }
+
+  let totalKb = 0;
+  const pending = [pid];
+  const visited = new Set();
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (visited.has(current)) {
+      continue;
+    }
+    visited.add(current);
+    totalKb += readRssKb(current);
+    pending.push(...readChildPids(current));
+  }
+
+  return Math.round(totalKb / 1024);
+}
+
+module.exports = {
+  getProcessTreeRssMb
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Caché de renders direccionada por contenido.
+//
+// La clave es el hash SHA-256 del HTML normalizado más las opciones de render
+// ya resueltas (con sus valores por defecto), así que dos peticiones que
+// producirían la misma imagen comparten clave aunque una venga como HTML y
+// otra como plantilla + data.
+//
+// Cada entrada guarda solo el buffer renderizado. Las entradas caducan a los
+// `ttl` ms y las menos usadas se descartan al superar `maxBytes`.
+
+// Cambiar la versión invalida todas las claves (p. ej. si cambia el motor de render)
+const CACHE_KEY_VERSION = 1;
+
+// Función para calcular la clave de caché de un render
+function computeRenderKey(htmlContent, options) {
+  const normalizedHtml = htmlContent.replace(/\r\n/g, '\n').trim();
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_KEY_VERSION, options }))
+    .update('\n')
+    .update(normalizedHtml)
+    .digest('hex');
+}
+
+function createRenderCache({ maxBytes, ttl }) {
+  // Map conserva el orden de inserción: la primera clave es la menos usada
+  const entries = new Map();
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  function evict(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.buffer.length;
+      entries.delete(key);
+    }
+  }
+
+  // Función para obtener una entrada vigente y marcarla como usada
+  function get(key) {
+    const entry = entries.get(key);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      evict(key);
+      misses++;
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry;
+  }
+
+  // Función para guardar un buffer (se ignora si no cabe en la caché)
+  function set(key, buffer) {
+    evict(key);
+
+    if (buffer.length > maxBytes) {
+      return;
+    }
+
+    entries.set(key, { buffer, expiresAt: Date.now() + ttl });
+    totalBytes += buffer.length;
+
+    while (totalBytes > maxBytes) {
+      evict(entries.keys().next().value);
+    }
+  }
+
+  function stats() {
+    return {
+      entries: entries.size,
+      bytes: totalBytes,
+      maxBytes,
+      hits,
+      misses
+    };
+  }
+
+  return {
+    get,
+    set,
+    stats
+  };
+}
+
+module.exports = {
+  computeRenderKey,
+  createRenderCache
+};
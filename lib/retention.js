@@ -0,0 +1,168 @@
+// Política de retención de imágenes generadas.
+//
+// Cada regla borra los objetos de `bucket` cuya clave empieza por `prefix` y
+// que tienen más de `maxAgeDays` días:
+//
+//   { bucket: 'agenda-images', prefix: 'agenda-', maxAgeDays: 30 }
+//
+// Las reglas se aplican de forma periódica (`interval` ms, 0 lo desactiva) y
+// bajo demanda con `run({ dryRun })`. En modo dry-run solo se informa de lo
+// que se borraría y de los bytes que se liberarían.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claves por llamada a storage.remove (límite de DeleteObjects en S3)
+const REMOVE_BATCH_SIZE = 1000;
+
+// Archivos que se detallan por regla en el informe; el resto solo se cuenta
+const MAX_REPORTED_FILES = 1000;
+
+// Espera antes de la primera pasada programada tras arrancar
+const FIRST_RUN_DELAY = 60000;
+
+function createRetentionJob({ storage, rules, interval }) {
+  let running = false;
+  let lastRun = null;
+  let timer = null;
+
+  // Función para aplicar una regla y devolver su parte del informe
+  async function applyRule(rule, { dryRun, now }) {
+    const report = {
+      bucket: rule.bucket,
+      prefix: rule.prefix,
+      maxAgeDays: rule.maxAgeDays,
+      scanned: 0,
+      matched: 0,
+      deleted: 0,
+      reclaimedBytes: 0,
+      files: [],
+      truncated: false,
+      error: null
+    };
+
+    try {
+      const cutoff = now - rule.maxAgeDays * DAY_MS;
+      const objects = await storage.list(rule.bucket, rule.prefix);
+      const expired = objects.filter(object => object.lastModified.getTime() < cutoff);
+
+      report.scanned = objects.length;
+      report.matched = expired.length;
+      report.files = expired.slice(0, MAX_REPORTED_FILES).map(object => ({
+        key: object.key,
+        size: object.size,
+        lastModified: object.lastModified.toISOString()
+      }));
+      report.truncated = expired.length > MAX_REPORTED_FILES;
+
+      if (dryRun) {
+        report.reclaimedBytes = expired.reduce((total, object) => total + object.size, 0);
+        return report;
+      }
+
+      // Borrar por lotes: si uno falla, lo ya borrado queda contabilizado
+      for (let index = 0; index < expired.length; index += REMOVE_BATCH_SIZE) {
+        const batch = expired.slice(index, index + REMOVE_BATCH_SIZE);
+        await storage.remove(rule.bucket, batch.map(object => object.key));
+        report.deleted += batch.length;
+        report.reclaimedBytes += batch.reduce((total, object) => total + object.size, 0);
+      }
+    } catch (error) {
+      report.error = error.message;
+    }
+
+    return report;
+  }
+
+  // Función para aplicar todas las reglas
+  async function run({ dryRun = false } = {}) {
+    if (running) {
+      const busyError = new Error('Ya hay una limpieza de retención en curso');
+      busyError.statusCode = 409;
+      throw busyError;
+    }
+
+    running = true;
+    const startedAt = new Date();
+
+    try {
+      console.log(`🧹 Aplicando ${rules.length} reglas de retención${dryRun ? ' (dry-run)' : ''}...`);
+
+      const ruleReports = [];
+      for (const rule of rules) {
+        ruleReports.push(await applyRule(rule, { dryRun, now: startedAt.getTime() }));
+      }
+
+      const report = {
+        dryRun,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        matched: ruleReports.reduce((total, rule) => total + rule.matched, 0),
+        deleted: ruleReports.reduce((total, rule) => total + rule.deleted, 0),
+        reclaimedBytes: ruleReports.reduce((total, rule) => total + rule.reclaimedBytes, 0),
+        rules: ruleReports
+      };
+
+      ruleReports.filter(rule => rule.error).forEach(rule => {
+        console.error(`❌ Error en retención ${rule.bucket}/${rule.prefix}*:`, rule.error);
+      });
+      console.log(`✅ Retención${dryRun ? ' (dry-run)' : ''}: ${report.matched} archivos caducados, ${report.deleted} borrados, ${report.reclaimedBytes} bytes`);
+
+      if (!dryRun) {
+        lastRun = report;
+      }
+
+      return report;
+    } finally {
+      running = false;
+    }
+  }
+
+  function runScheduled() {
+    run().catch(error => {
+      console.error('❌ Error en la limpieza programada:', error.message);
+    });
+  }
+
+  // Función para arrancar la limpieza periódica
+  function start() {
+    if (!interval || rules.length === 0) {
+      return;
+    }
+
+    timer = setTimeout(function tick() {
+      runScheduled();
+      timer = setTimeout(tick, interval);
+      timer.unref();
+    }, Math.min(FIRST_RUN_DELAY, interval));
+    timer.unref();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function stats() {
+    return {
+      rules,
+      interval,
+      running,
+      // Resumen de la última pasada real, sin el detalle por archivo
+      lastRun: lastRun && {
+        ...lastRun,
+        rules: lastRun.rules.map(({ files, ...rule }) => rule)
+      }
+    };
+  }
+
+  return {
+    run,
+    start,
+    stop,
+    stats
+  };
+}
+
+module.exports = {
+  createRetentionJob
+};
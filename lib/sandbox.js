@@ -0,0 +1,146 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Filtro de peticiones de red para el HTML que se renderiza.
+//
+// El HTML lo envía quien llama al servicio, así que cualquier <img>, <link> o
+// fetch() que contenga sale desde nuestra red. Cada petición de la página se
+// intercepta y se decide con `check(url)`:
+//
+// - `data:`, `blob:` y `about:` se permiten (no salen a la red)
+// - `file:` y cualquier otro esquema que no sea http(s) se bloquean
+// - con `allowedOrigins` solo se permiten esos orígenes (`https://*.dominio`
+//   admite subdominios); sin lista se permite cualquier origen público
+// - los hosts que resuelven a rangos privados, loopback o link-local
+//   (p. ej. 169.254.169.254, el servicio de metadatos de la nube) se bloquean
+//   salvo `allowPrivateNetwork`
+//
+// La resolución DNS se hace aquí y Chromium vuelve a resolver al conectar, así
+// que un DNS que cambia de respuesta entre ambas podría colarse. Tampoco se
+// interceptan WebSockets ni WebRTC: para HTML no confiable conviene además
+// desactivar JavaScript.
+
+const ALWAYS_ALLOWED_PROTOCOLS = ['data:', 'blob:', 'about:'];
+const NETWORK_PROTOCOLS = ['http:', 'https:'];
+
+// Tiempo que se recuerda si un host es privado (ms)
+const DNS_CACHE_TTL = 60000;
+
+// Rangos que nunca deben alcanzarse desde una página renderizada
+const privateNetworks = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv6'));
+
+// Función para saber si una IP pertenece a un rango privado
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateNetworks.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  return family !== 0 && privateNetworks.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Función para comprobar un origen contra la lista (admite `*.` en el host)
+function matchesOrigin(url, allowed) {
+  const [protocol, host] = allowed.split('://');
+
+  if (`${protocol}:` !== url.protocol) {
+    return false;
+  }
+
+  if (host.startsWith('*.')) {
+    return url.host.endsWith(host.slice(1));
+  }
+
+  return url.host === host;
+}
+
+function createRequestGuard({ allowedOrigins = [], allowPrivateNetwork = false }) {
+  // hostname -> { isPrivate, expiresAt }
+  const dnsCache = new Map();
+
+  async function resolvesToPrivate(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    if (net.isIP(host)) {
+      return isPrivateAddress(host);
+    }
+
+    const cached = dnsCache.get(host);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.isPrivate;
+    }
+
+    let isPrivate;
+    try {
+      const addresses = await dns.lookup(host, { all: true });
+      isPrivate = addresses.some(({ address }) => isPrivateAddress(address));
+    } catch (error) {
+      // Si no resuelve, Chromium tampoco podrá conectar: no hace falta bloquear
+      isPrivate = false;
+    }
+
+    dnsCache.set(host, { isPrivate, expiresAt: Date.now() + DNS_CACHE_TTL });
+    return isPrivate;
+  }
+
+  // Función para decidir si la página puede hacer una petición.
+  // Devuelve { allowed: true } o { allowed: false, reason }.
+  async function check(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      return { allowed: false, reason: 'invalid-url' };
+    }
+
+    if (ALWAYS_ALLOWED_PROTOCOLS.includes(url.protocol)) {
+      return { allowed: true };
+    }
+
+    if (url.protocol === 'file:') {
+      return { allowed: false, reason: 'file-url' };
+    }
+
+    if (!NETWORK_PROTOCOLS.includes(url.protocol)) {
+      return { allowed: false, reason: 'protocol' };
+    }
+
+    if (allowedOrigins.length > 0 && !allowedOrigins.some(allowed => matchesOrigin(url, allowed))) {
+      return { allowed: false, reason: 'origin-not-allowed' };
+    }
+
+    if (!allowPrivateNetwork && await resolvesToPrivate(url.hostname)) {
+      return { allowed: false, reason: 'private-network' };
+    }
+
+    return { allowed: true };
+  }
+
+  return {
+    check
+  };
+}
+
+module.exports = {
+  createRequestGuard
+};
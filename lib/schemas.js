@@ -0,0 +1,240 @@
+const dailyAgenda = require('../templates/daily-agenda');
+const { ASSET_EXTENSIONS } = require('./assets');
+
+// Límite de tamaño del HTML recibido (caracteres)
+const MAX_HTML_LENGTH = parseInt(process.env.MAX_HTML_LENGTH, 10) || 2 * 1024 * 1024;
+
+// Nombre de archivo plano: sin rutas, sin "..", empieza por letra o número
+const filenameSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 200,
+  pattern: '^(?!.*\\.\\.)[A-Za-z0-9][A-Za-z0-9._-]*$'
+};
+
+// Opciones de renderizado comunes a todas las rutas
+const renderOptionsSchema = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['png', 'jpeg', 'webp', 'pdf'] },
+    quality: { type: 'integer', minimum: 1, maximum: 100 },
+    width: { type: 'integer', minimum: 100, maximum: 4000 },
+    height: { type: 'integer', minimum: 100, maximum: 4000 },
+    scale: { type: 'number', minimum: 0.5, maximum: 4 },
+    fullPage: { type: 'boolean' },
+    transparent: { type: 'boolean' },
+    selector: { type: 'string', minLength: 1, maxLength: 500 },
+    waitForSelector: { type: 'string', minLength: 1, maxLength: 500 },
+    waitForReadyFlag: { type: 'boolean' },
+    maxWait: { type: 'integer', minimum: 1000, maximum: 60000 },
+    javascript: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// Vigencia de una URL firmada en segundos (máximo 7 días, límite de S3)
+const signedUrlTtlSchema = { type: 'integer', minimum: 60, maximum: 604800 };
+
+// Destino en el almacenamiento elegido por la petición
+const storageTargetSchema = {
+  type: 'object',
+  properties: {
+    bucket: { type: 'string', pattern: '^[a-z0-9][a-z0-9.-]{1,62}$' },
+    prefix: { type: 'string', maxLength: 200, pattern: '^[A-Za-z0-9_-]+(/[A-Za-z0-9_-]+)*$' },
+    private: { type: 'boolean' },
+    expiresIn: signedUrlTtlSchema
+  },
+  additionalProperties: false
+};
+
+// POST /generate-image
+const generateImageSchema = {
+  type: 'object',
+  required: ['htmlContent', 'filename'],
+  properties: {
+    htmlContent: { type: 'string', minLength: 1, maxLength: MAX_HTML_LENGTH },
+    filename: filenameSchema,
+    options: renderOptionsSchema,
+    storage: storageTargetSchema,
+    cache: { type: 'boolean' }
+  }
+};
+
+// POST /render/agenda: datos de la agenda diaria más filename opcional
+const renderAgendaSchema = {
+  ...dailyAgenda.schema,
+  properties: {
+    ...dailyAgenda.schema.properties,
+    filename: filenameSchema,
+    options: renderOptionsSchema,
+    storage: storageTargetSchema,
+    cache: { type: 'boolean' }
+  }
+};
+
+// POST /render: la validación de `data` depende de la plantilla elegida
+const renderTemplateSchema = {
+  type: 'object',
+  required: ['template', 'data'],
+  properties: {
+    template: { type: 'string', pattern: '^[a-z0-9-]+(@[0-9]+)?$' },
+    data: { type: 'object' },
+    filename: filenameSchema,
+    options: renderOptionsSchema,
+    storage: storageTargetSchema,
+    cache: { type: 'boolean' }
+  }
+};
+
+// Petición de render genérica: HTML directo o plantilla + data
+const renderRequestSchema = {
+  type: 'object',
+  properties: {
+    htmlContent: generateImageSchema.properties.htmlContent,
+    template: renderTemplateSchema.properties.template,
+    data: { type: 'object' },
+    filename: filenameSchema,
+    options: renderOptionsSchema,
+    storage: storageTargetSchema,
+    cache: { type: 'boolean' }
+  },
+  oneOf: [
+    { required: ['htmlContent'] },
+    { required: ['template', 'data'] }
+  ]
+};
+
+// POST /jobs: petición de render con callback opcional
+const createJobSchema = {
+  ...renderRequestSchema,
+  properties: {
+    ...renderRequestSchema.properties,
+    callbackUrl: { type: 'string', maxLength: 2000, pattern: '^https?://' }
+  }
+};
+
+// Máximo de imágenes por petición de lote
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS, 10) || 100;
+
+// POST /generate-images/batch
+const batchSchema = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_ITEMS,
+      items: renderRequestSchema
+    },
+    concurrency: { type: 'integer', minimum: 1, maximum: 10 }
+  }
+};
+
+// POST /signed-urls: volver a firmar un objeto existente
+const signedUrlSchema = {
+  type: 'object',
+  required: ['path'],
+  properties: {
+    bucket: storageTargetSchema.properties.bucket,
+    path: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 400,
+      pattern: '^(?!.*\\.\\.)(?!.*//)[A-Za-z0-9][A-Za-z0-9._/-]*$'
+    },
+    expiresIn: signedUrlTtlSchema
+  },
+  additionalProperties: false
+};
+
+// Reglas de retención (RETENTION_RULES). El prefijo es obligatorio para que
+// una regla mal escrita no vacíe un bucket entero.
+const retentionRulesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['bucket', 'prefix', 'maxAgeDays'],
+    properties: {
+      bucket: storageTargetSchema.properties.bucket,
+      prefix: { type: 'string', minLength: 1, maxLength: 200 },
+      maxAgeDays: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  }
+};
+
+// API keys (API_KEYS / API_KEYS_FILE)
+const apiKeysSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['key', 'tenant'],
+    properties: {
+      key: { type: 'string', minLength: 16, maxLength: 200 },
+      tenant: { type: 'string', maxLength: 100, pattern: '^[A-Za-z0-9_-]+$' },
+      prefix: storageTargetSchema.properties.prefix,
+      rateLimit: { type: 'integer', minimum: 1 },
+      dailyQuota: { type: 'integer', minimum: 1 },
+      enabled: { type: 'boolean' }
+    },
+    additionalProperties: false
+  }
+};
+
+// /assets/:tenant/:name: nombre plano con una extensión de imagen o fuente
+const assetParamsSchema = {
+  type: 'object',
+  required: ['tenant'],
+  properties: {
+    tenant: apiKeysSchema.items.properties.tenant,
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 200,
+      pattern: `^(?!.*\\.\\.)[A-Za-z0-9][A-Za-z0-9._-]*\\.(${ASSET_EXTENSIONS.join('|')})$`
+    }
+  }
+};
+
+// PUT /themes/:organizationId: tema de marca de la agenda
+const themeSchema = dailyAgenda.themeSchema;
+
+// /themes/:organizationId
+const themeParamsSchema = {
+  type: 'object',
+  required: ['organizationId'],
+  properties: {
+    organizationId: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[A-Za-z0-9_-]+$' }
+  }
+};
+
+// POST /admin/retention/run
+const retentionRunSchema = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  MAX_HTML_LENGTH,
+  filenameSchema,
+  renderOptionsSchema,
+  storageTargetSchema,
+  generateImageSchema,
+  renderAgendaSchema,
+  renderTemplateSchema,
+  renderRequestSchema,
+  createJobSchema,
+  MAX_BATCH_ITEMS,
+  batchSchema,
+  signedUrlSchema,
+  retentionRulesSchema,
+  retentionRunSchema,
+  apiKeysSchema,
+  assetParamsSchema,
+  themeSchema,
+  themeParamsSchema
+};
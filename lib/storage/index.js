@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createSupabaseStorage } = require('./supabase');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Backends de almacenamiento intercambiables.
+//
+// Cada backend expone la misma interfaz:
+//
+//   name                                               -> 'supabase' | 'local' | 's3'
+//   upload(bucket, key, buffer, { contentType, cacheControl }) -> Promise<void>
+//   getPublicUrl(bucket, key)                          -> string
+//   createSignedUrl(bucket, key, expiresIn)            -> Promise<string> (expiresIn en segundos; statusCode 404 si no existe)
+//   download(bucket, key)                              -> Promise<Buffer> (statusCode 404 si no existe)
+//   exists(bucket, key)                                -> Promise<boolean>
+//   list(bucket, prefix)                               -> Promise<[{ key, size, lastModified }]>
+//   remove(bucket, keys)                               -> Promise<void> (hasta 1000 claves)
+//
+// `cacheControl` son los segundos de `max-age` (p. ej. `'3600'`), no una cabecera completa.
+//
+// `list` es recursivo y filtra por prefijo de texto (`org-1/agenda-` incluye
+// `org-1/agenda-2024-01-15.png`), no solo por carpeta.
+//
+// El backend se elige con STORAGE_DRIVER (por defecto supabase).
+
+const STORAGE_DRIVERS = {
+  supabase: () => createSupabaseStorage({
+    url: process.env.SUPABASE_URL,
+    serviceKey: process.env.SUPABASE_SERVICE_KEY
+  }),
+
+  local: () => createLocalStorage({
+    rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'),
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+    // Sin secreto configurado las URLs firmadas dejan de valer al reiniciar
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex')
+  }),
+
+  s3: () => createS3Storage({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL
+  })
+};
+
+// Función para crear el backend configurado (lanza error si falta configuración)
+function createStorage(driver) {
+  const factory = STORAGE_DRIVERS[driver];
+
+  if (!factory) {
+    throw new Error(`STORAGE_DRIVER desconocido: ${driver} (usa ${Object.keys(STORAGE_DRIVERS).join(', ')})`);
+  }
+
+  return factory();
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Backend de disco local, pensado para desarrollo y CI.
+// Los archivos se guardan en `<rootDir>/<bucket>/<key>` y se sirven desde
+// la ruta estática `/files` del propio servicio. Las URLs firmadas llevan
+// `expires` y `signature` (HMAC-SHA256 con `signingSecret`).
+function createLocalStorage({ rootDir, publicBaseUrl, signingSecret }) {
+  const resolvePath = (bucket, key) => {
+    const filePath = path.resolve(rootDir, bucket, key);
+
+    // Defensa adicional: nunca escribir fuera de rootDir
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Ruta fuera del almacenamiento local: ${bucket}/${key}`);
+    }
+
+    return filePath;
+  };
+
+  const sign = (bucket, key, expires) => crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${bucket}/${key}:${expires}`)
+    .digest('hex');
+
+  return {
+    name: 'local',
+    rootDir,
+
+    async upload(bucket, key, buffer) {
+      const filePath = resolvePath(bucket, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    getPublicUrl(bucket, key) {
+      return `${publicBaseUrl}/files/${bucket}/${key}`;
+    },
+
+    async createSignedUrl(bucket, key, expiresIn) {
+      try {
+        await fs.access(resolvePath(bucket, key));
+      } catch (error) {
+        const notFoundError = new Error(`Objeto no encontrado: ${bucket}/${key}`);
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${publicBaseUrl}/files/${bucket}/${key}?expires=${expires}&signature=${sign(bucket, key, expires)}`;
+    },
+
+    async download(bucket, key) {
+      try {
+        return await fs.readFile(resolvePath(bucket, key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        const notFoundError = new Error(`Objeto no encontrado: ${bucket}/${key}`);
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+    },
+
+    async exists(bucket, key) {
+      try {
+        await fs.access(resolvePath(bucket, key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async list(bucket, prefix = '') {
+      const bucketDir = resolvePath(bucket, '.');
+      const files = [];
+
+      // Se empieza en la carpeta del prefijo para no recorrer todo el bucket
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return;
+          }
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry.name);
+          const key = path.relative(bucketDir, fullPath).split(path.sep).join('/');
+
+          if (!key.startsWith(prefix) && !prefix.startsWith(`${key}/`)) {
+            continue;
+          }
+
+          if (entry.isDirectory()) {
+            await walk(fullPath);
+          } else if (entry.isFile() && key.startsWith(prefix)) {
+            const stats = await fs.stat(fullPath);
+            files.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      };
+
+      await walk(path.join(bucketDir, path.posix.dirname(`./${prefix}x`)));
+      return files;
+    },
+
+    async remove(bucket, keys) {
+      await Promise.all(keys.map(key => fs.rm(resolvePath(bucket, key), { force: true })));
+    },
+
+    // Función para validar la firma de una petición a /files
+    verifySignature(bucket, key, expires, signature) {
+      if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(bucket, key, expires));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
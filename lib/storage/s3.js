@@ -0,0 +1,130 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Backend compatible con S3 (AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces...)
+function createS3Storage({ endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('Variables de entorno S3_ACCESS_KEY_ID y S3_SECRET_ACCESS_KEY son requeridas para STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey }
+  });
+
+  const objectExists = async (bucket, key) => {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    async upload(bucket, key, buffer, { contentType, cacheControl }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: `max-age=${cacheControl}`
+      }));
+    },
+
+    getPublicUrl(bucket, key) {
+      // URL pública configurada (CDN o dominio propio del bucket)
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${bucket}/${key}`;
+      }
+
+      if (endpoint) {
+        return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+      }
+
+      return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    },
+
+    async createSignedUrl(bucket, key, expiresIn) {
+      // Firmar no consulta el bucket: sin esta comprobación se firmaría un objeto inexistente
+      if (!(await objectExists(bucket, key))) {
+        const notFoundError = new Error(`Objeto no encontrado: ${bucket}/${key}`);
+        notFoundError.statusCode = 404;
+        throw notFoundError;
+      }
+
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    async download(bucket, key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          const notFoundError = new Error(`Objeto no encontrado: ${bucket}/${key}`);
+          notFoundError.statusCode = 404;
+          throw notFoundError;
+        }
+        throw error;
+      }
+    },
+
+    exists: objectExists,
+
+    async list(bucket, prefix = '') {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    async remove(bucket, keys) {
+      const response = await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: {
+          Objects: keys.map(key => ({ Key: key })),
+          Quiet: true
+        }
+      }));
+
+      // DeleteObjects responde 200 aunque fallen claves concretas
+      if (response.Errors && response.Errors.length > 0) {
+        const [first] = response.Errors;
+        throw new Error(`No se pudieron borrar ${response.Errors.length} objetos (${first.Key}: ${first.Message})`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
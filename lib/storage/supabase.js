@@ -0,0 +1,147 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Tamaño de página al listar: Supabase no devuelve más de 1000 entradas por llamada
+const LIST_PAGE_SIZE = 1000;
+
+// Backend de Supabase Storage
+function createSupabaseStorage({ url, serviceKey }) {
+  if (!url || !serviceKey) {
+    throw new Error('Variables de entorno SUPABASE_URL y SUPABASE_SERVICE_KEY son requeridas para STORAGE_DRIVER=supabase');
+  }
+
+  const supabase = createClient(url, serviceKey);
+
+  return {
+    name: 'supabase',
+
+    async upload(bucket, key, buffer, { contentType, cacheControl }) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, {
+          contentType,
+          cacheControl,
+          upsert: true
+        });
+
+      if (error) {
+        throw error;
+      }
+    },
+
+    getPublicUrl(bucket, key) {
+      const { data: { publicUrl } } = supabase.storage
+        .from(bucket)
+        .getPublicUrl(key);
+
+      return publicUrl;
+    },
+
+    async createSignedUrl(bucket, key, expiresIn) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(key, expiresIn);
+
+      if (error) {
+        const signError = new Error(error.message);
+        if (/not found/i.test(error.message)) {
+          signError.statusCode = 404;
+        }
+        throw signError;
+      }
+
+      return data.signedUrl;
+    },
+
+    async download(bucket, key) {
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .download(key);
+
+      if (error) {
+        const downloadError = new Error(error.message);
+        if (error.status === 404 || /not found/i.test(error.message)) {
+          downloadError.statusCode = 404;
+        }
+        throw downloadError;
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async exists(bucket, key) {
+      const separator = key.lastIndexOf('/');
+      const folder = separator === -1 ? '' : key.slice(0, separator);
+      const name = key.slice(separator + 1);
+
+      // `search` filtra por nombre dentro de la carpeta; se confirma la coincidencia exacta
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .list(folder, { search: name, limit: 100 });
+
+      if (error) {
+        throw error;
+      }
+
+      return data.some(entry => entry.name === name && entry.id !== null);
+    },
+
+    async list(bucket, prefix = '') {
+      const files = [];
+      // Supabase lista carpeta a carpeta: se parte de la carpeta del prefijo
+      const folders = [prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : ''];
+
+      while (folders.length > 0) {
+        const folder = folders.pop();
+
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+          const { data, error } = await supabase.storage
+            .from(bucket)
+            .list(folder, { limit: LIST_PAGE_SIZE, offset });
+
+          if (error) {
+            throw error;
+          }
+
+          for (const entry of data) {
+            const key = folder ? `${folder}/${entry.name}` : entry.name;
+
+            if (!key.startsWith(prefix)) {
+              continue;
+            }
+
+            // Las carpetas no tienen id
+            if (entry.id === null) {
+              folders.push(key);
+            } else {
+              files.push({
+                key,
+                size: (entry.metadata && entry.metadata.size) || 0,
+                lastModified: new Date(entry.updated_at || entry.created_at)
+              });
+            }
+          }
+
+          if (data.length < LIST_PAGE_SIZE) {
+            break;
+          }
+        }
+      }
+
+      return files;
+    },
+
+    async remove(bucket, keys) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .remove(keys);
+
+      if (error) {
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSupabaseStorage
+};
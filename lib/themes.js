@@ -0,0 +1,94 @@
+// Temas de marca guardados por el servicio.
+//
+// Cada tema pertenece a una organización dentro de un tenant y se guarda como
+// JSON en el bucket de assets, en `<tenant>/themes/<organizationId>.json`. Al
+// renderizar una plantilla con tema, el guardado se combina por debajo del
+// que venga en `organization.theme`, así que el registro de la organización
+// siempre puede sobrescribirlo.
+
+// Temas en memoria, para no descargarlos en cada render
+const THEME_CACHE_TTL = 5 * 60 * 1000;
+const THEME_CACHE_MAX_ENTRIES = 500;
+
+function createThemeStore({ storage, bucket }) {
+  // `tenant/themes/organizationId.json` -> { theme, expiresAt } (theme null si no existe)
+  const cache = new Map();
+
+  const keyFor = (tenant, organizationId) => `${tenant}/themes/${organizationId}.json`;
+
+  function remember(key, theme) {
+    if (cache.size >= THEME_CACHE_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { theme, expiresAt: Date.now() + THEME_CACHE_TTL });
+  }
+
+  // Función para obtener el tema de una organización (null si no tiene)
+  async function get(tenant, organizationId) {
+    const key = keyFor(tenant, organizationId);
+    const cached = cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.theme;
+    }
+
+    let theme;
+    try {
+      theme = JSON.parse((await storage.download(bucket, key)).toString('utf8'));
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      theme = null;
+    }
+
+    remember(key, theme);
+    return theme;
+  }
+
+  async function put(tenant, organizationId, theme) {
+    const key = keyFor(tenant, organizationId);
+
+    await storage.upload(bucket, key, Buffer.from(JSON.stringify(theme)), {
+      contentType: 'application/json',
+      // Segundos de max-age (los backends arman `max-age=<valor>`): sin caché
+      cacheControl: '0'
+    });
+    remember(key, theme);
+  }
+
+  async function list(tenant) {
+    const prefix = `${tenant}/themes/`;
+    const objects = await storage.list(bucket, prefix);
+
+    return objects
+      .filter(object => object.key.endsWith('.json'))
+      .map(object => ({
+        organizationId: object.key.slice(prefix.length, -'.json'.length),
+        lastModified: object.lastModified.toISOString()
+      }));
+  }
+
+  async function remove(tenant, organizationId) {
+    const key = keyFor(tenant, organizationId);
+
+    if (!await storage.exists(bucket, key)) {
+      return false;
+    }
+
+    await storage.remove(bucket, [key]);
+    cache.delete(key);
+    return true;
+  }
+
+  return {
+    get,
+    put,
+    list,
+    remove
+  };
+}
+
+module.exports = {
+  createThemeStore
+};
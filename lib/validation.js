@@ -0,0 +1,106 @@
+const Ajv = require('ajv');
+const localize = require('ajv-i18n/localize/es');
+
+// Instancia compartida: compila y cachea los schemas de rutas y plantillas
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Función para saber si un texto YYYY-MM-DD es una fecha real del calendario
+// (el patrón solo no rechaza "2024-13-45" ni "2023-02-29")
+function isCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+// `format: 'date'` en los schemas: fecha YYYY-MM-DD que existe
+ajv.addFormat('date', { type: 'string', validate: isCalendarDate });
+
+// Función para compilar un schema (lanza error si el schema es inválido)
+function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+// Función para convertir un instancePath de Ajv ("/members/0/name") a "members.0.name"
+function toFieldPath(basePath, instancePath, missingProperty) {
+  const segments = instancePath.split('/').slice(1);
+
+  if (basePath) {
+    segments.unshift(basePath);
+  }
+
+  if (missingProperty) {
+    segments.push(missingProperty);
+  }
+
+  return segments.join('.') || '(raíz)';
+}
+
+// Función para validar un valor contra un schema.
+// Devuelve la lista de errores { path, message } (vacía si es válido).
+function validate(schema, value, basePath = '') {
+  const validator = compileSchema(schema);
+
+  if (validator(value)) {
+    return [];
+  }
+
+  localize(validator.errors);
+
+  return validator.errors.map(error => ({
+    path: toFieldPath(basePath, error.instancePath, error.params.missingProperty),
+    message: error.message
+  }));
+}
+
+// Función para responder 422 con la lista de campos inválidos
+function sendValidationErrors(res, errors) {
+  return res.status(422).json({
+    success: false,
+    error: 'Datos de entrada inválidos',
+    errors
+  });
+}
+
+// Middleware para validar req.body contra un schema
+function validateBody(schema) {
+  // Compilar al registrar la ruta para detectar schemas inválidos al iniciar
+  compileSchema(schema);
+
+  return (req, res, next) => {
+    const errors = validate(schema, req.body);
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    next();
+  };
+}
+
+// Middleware para validar req.params (p. ej. nombres en la URL)
+function validateParams(schema) {
+  compileSchema(schema);
+
+  return (req, res, next) => {
+    const errors = validate(schema, req.params);
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  compileSchema,
+  isCalendarDate,
+  validate,
+  validateBody,
+  validateParams,
+  sendValidationErrors
+};
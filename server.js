@@ -1,205 +1,1716 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const { compileSchema, validate, validateBody, validateParams } = require('./lib/validation');
+const {
+  generateImageSchema,
+  renderAgendaSchema,
+  renderTemplateSchema,
+  createJobSchema,
+  batchSchema,
+  signedUrlSchema,
+  retentionRulesSchema,
+  retentionRunSchema,
+  apiKeysSchema,
+  assetParamsSchema,
+  themeSchema,
+  themeParamsSchema
+} = require('./lib/schemas');
+const { createPagePool } = require('./lib/page-pool');
+const { getProcessTreeRssMb } = require('./lib/process-memory');
+const { createMemoryJobStore, createJobQueue, toPublicJob } = require('./lib/jobs');
+const { createStorage } = require('./lib/storage');
+const { createRetentionJob } = require('./lib/retention');
+const { computeRenderKey, createRenderCache } = require('./lib/render-cache');
+const { createApiKeyAuth } = require('./lib/auth');
+const { createRequestGuard } = require('./lib/sandbox');
+const { createAssetStore } = require('./lib/assets');
+const { createThemeStore } = require('./lib/themes');
+
+// Directorio desde el que se cargan las plantillas al iniciar
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
 
 // Configuración desde variables de entorno
 const PORT = process.env.PORT || 3000;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'supabase';
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'agenda-images';
+// Buckets que una petición puede elegir además del bucket por defecto
+// Bucket privado: sin política de lectura pública, se accede con URLs firmadas
+const STORAGE_PRIVATE_BUCKET = process.env.STORAGE_PRIVATE_BUCKET || 'agenda-images-private';
+const STORAGE_PRIVATE_DEFAULT = process.env.STORAGE_PRIVATE_DEFAULT === 'true';
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL, 10) || 3600;
+const STORAGE_ALLOWED_BUCKETS = [
+  STORAGE_BUCKET,
+  STORAGE_PRIVATE_BUCKET,
+  ...(process.env.STORAGE_ALLOWED_BUCKETS || '').split(',').map(bucket => bucket.trim()).filter(Boolean)
+];
+const RENDER_CONCURRENCY = parseInt(process.env.RENDER_CONCURRENCY, 10) || 3;
+const RENDER_QUEUE_SIZE = parseInt(process.env.RENDER_QUEUE_SIZE, 10) || 50;
+const RENDER_QUEUE_TIMEOUT = parseInt(process.env.RENDER_QUEUE_TIMEOUT, 10) || 30000;
+const BROWSER_MAX_RENDERS = parseInt(process.env.BROWSER_MAX_RENDERS, 10) || 500;
+const BROWSER_MAX_RSS_MB = parseInt(process.env.BROWSER_MAX_RSS_MB, 10) || 1536;
+// Píxeles máximos de una captura (ancho × alto × escala²): cada píxel ocupa 4
+// bytes en memoria, así que 40 MP son ~160 MB por render
+const MAX_RENDER_PIXELS = parseInt(process.env.MAX_RENDER_PIXELS, 10) || 40 * 1000 * 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || RENDER_CONCURRENCY;
+const JOB_TTL = parseInt(process.env.JOB_TTL, 10) || 24 * 60 * 60 * 1000;
+const JOB_QUEUE_SIZE = parseInt(process.env.JOB_QUEUE_SIZE, 10) || 1000;
+// Intentos de un job cuando el pool de páginas está ocupado antes de darlo por fallido
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 10;
+// Limpieza de retención: cada 24 h por defecto, 0 la desactiva
+const RETENTION_INTERVAL = process.env.RETENTION_INTERVAL !== undefined
+  ? parseInt(process.env.RETENTION_INTERVAL, 10) || 0
+  : 24 * 60 * 60 * 1000;
+// Caché de renders: RENDER_CACHE=false la desactiva para todas las peticiones
+const RENDER_CACHE_ENABLED = process.env.RENDER_CACHE !== 'false';
+const RENDER_CACHE_MAX_MB = process.env.RENDER_CACHE_MAX_MB !== undefined
+  ? parseInt(process.env.RENDER_CACHE_MAX_MB, 10) || 0
+  : 64;
+const RENDER_CACHE_TTL = parseInt(process.env.RENDER_CACHE_TTL, 10) || 60 * 60 * 1000;
+// Sin ADMIN_TOKEN los endpoints /admin quedan deshabilitados
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Assets de los tenants (logos, fuentes): bucket propio y tamaño máximo por archivo
+const ASSETS_BUCKET = process.env.ASSETS_BUCKET || 'render-assets';
+const ASSET_MAX_BYTES = parseInt(process.env.ASSET_MAX_BYTES, 10) || 2 * 1024 * 1024;
+// Tenant bajo el que se guardan los temas cuando la API no tiene API keys
+const DEFAULT_THEME_TENANT = 'default';
+// Sandbox del HTML renderizado: orígenes que la página puede cargar (vacío =
+// cualquier origen público), acceso a redes privadas y JavaScript por defecto
+const SANDBOX_ALLOWED_ORIGINS = (process.env.SANDBOX_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const SANDBOX_ALLOW_PRIVATE_NETWORK = process.env.SANDBOX_ALLOW_PRIVATE_NETWORK === 'true';
+const SANDBOX_JAVASCRIPT = process.env.SANDBOX_JAVASCRIPT !== 'false';
+// Orígenes que pueden llamar a la API desde un navegador (por defecto ninguno)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Inicializar backend de almacenamiento (valida sus variables de entorno)
+let storage;
+try {
+  storage = createStorage(STORAGE_DRIVER);
+  console.log(`🗄️ Almacenamiento: ${storage.name} (bucket por defecto: ${STORAGE_BUCKET})`);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Función para leer las API keys de API_KEYS (JSON) o del archivo API_KEYS_FILE
+function loadApiKeys() {
+  let source = process.env.API_KEYS;
+  if (!source && process.env.API_KEYS_FILE) {
+    source = fs.readFileSync(process.env.API_KEYS_FILE, 'utf8');
+  }
+  
+  const keys = source ? JSON.parse(source) : [];
+  const errors = validate(apiKeysSchema, keys, 'API_KEYS');
+  
+  if (errors.length === 0) {
+    const seen = new Set();
+    keys.forEach((config, index) => {
+      if (seen.has(config.key)) {
+        errors.push({ path: `API_KEYS.${index}.key`, message: 'key duplicada' });
+      }
+      seen.add(config.key);
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => `${error.path}: ${error.message}`).join('; '));
+  }
+  
+  return keys;
+}
 
-// Validar variables de entorno requeridas
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-  console.error('❌ Error: Variables de entorno SUPABASE_URL y SUPABASE_SERVICE_KEY son requeridas');
+let auth;
+try {
+  auth = createApiKeyAuth({ keys: loadApiKeys() });
+  if (auth.enabled) {
+    console.log(`🔑 Autenticación por API key activa (${auth.tenantPrefixes.length} tenants)`);
+  } else {
+    console.warn('⚠️ API_KEYS no configurado: la API queda abierta sin autenticación');
+  }
+} catch (error) {
+  console.error('❌ Error en las API keys:', error.message);
   process.exit(1);
 }
 
-// Inicializar Supabase
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+// Assets referenciados como asset://<tenant>/<nombre> en el HTML
+const assetStore = createAssetStore({ storage, bucket: ASSETS_BUCKET });
+// Temas de marca por organización, en el mismo bucket que los assets
+const themeStore = createThemeStore({ storage, bucket: ASSETS_BUCKET });
+
+// Inicializar Express
+const app = express();
+
+// Middleware de seguridad y optimización
+app.use(helmet());
+app.use(compression());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Archivos del almacenamiento local servidos como estáticos
+if (storage.name === 'local') {
+  app.use('/files', (req, res, next) => {
+    let filePath;
+    try {
+      filePath = decodeURIComponent(req.path);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ruta de archivo inválida'
+      });
+    }
+    
+    // express.static resuelve `.`, `..` y `//`: una ruta que cambia al
+    // normalizarla podría servir otro bucket del que se comprueba aquí
+    if (path.posix.normalize(filePath) !== filePath) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ruta de archivo inválida'
+      });
+    }
+    
+    // Solo se sirven los buckets de imágenes: los assets y los temas de los
+    // tenants (ASSETS_BUCKET) no son públicos
+    const [bucket, ...keyParts] = filePath.slice(1).split('/');
+    
+    if (!STORAGE_ALLOWED_BUCKETS.includes(bucket) || bucket === ASSETS_BUCKET) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archivo no encontrado'
+      });
+    }
+    
+    // Los archivos del bucket privado solo se sirven con una firma válida
+    
+    if (bucket === STORAGE_PRIVATE_BUCKET &&
+        !storage.verifySignature(bucket, keyParts.join('/'), req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'URL firmada inválida o expirada'
+      });
+    }
+    
+    next();
+  }, express.static(storage.rootDir, { maxAge: '1h' }));
+}
+
+// Middleware de logging
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  next();
+});
+
+// Variable global para reutilizar instancia de browser
+let browserInstance = null;
+// Lanzamiento en curso, compartido por las peticiones concurrentes
+let browserLaunch = null;
+// Métricas del browser actual para reciclado y /health
+const browserStats = {
+  renders: 0,
+  restarts: 0,
+  recycles: 0,
+  rssMb: 0
+};
+
+// Tiempo que se deja a los renders en curso antes de cerrar un browser reciclado
+const BROWSER_RETIRE_GRACE = 90000;
+
+// Función para obtener o crear instancia de browser
+async function getBrowser() {
+  if (!browserInstance || !browserInstance.isConnected()) {
+    if (!browserLaunch) {
+      browserLaunch = launchBrowser().finally(() => {
+        browserLaunch = null;
+      });
+    }
+    
+    browserInstance = await browserLaunch;
+  }
+  
+  return browserInstance;
+}
+
+// Función para lanzar una nueva instancia de browser
+async function launchBrowser() {
+  console.log('🚀 Iniciando nueva instancia de Puppeteer...');
+  
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-features=VizDisplayCompositor',
+      '--run-all-compositor-stages-before-draw',
+      '--disable-background-timer-throttling',
+      '--disable-renderer-backgrounding',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-ipc-flooding-protection',
+      '--memory-pressure-off'
+    ],
+    defaultViewport: {
+      width: 1200,
+      height: 800,
+      deviceScaleFactor: 2
+    }
+  });
+  
+  // Supervisar el proceso: si Chromium muere se reinicia sin esperar a la próxima petición
+  browser.on('disconnected', () => handleBrowserDisconnected(browser));
+  browserStats.renders = 0;
+  browserStats.rssMb = 0;
+  
+  console.log('✅ Instancia de Puppeteer iniciada exitosamente');
+  return browser;
+}
+
+// Función para reaccionar a una desconexión inesperada de Chromium
+function handleBrowserDisconnected(browser) {
+  // Los browsers reciclados se cierran a propósito
+  if (browser !== browserInstance) {
+    return;
+  }
+  
+  console.error('💥 Chromium se desconectó inesperadamente, reiniciando...');
+  browserInstance = null;
+  browserStats.restarts++;
+  pagePool.drain();
+  
+  getBrowser().catch(error => {
+    console.error('❌ Error reiniciando browser:', error);
+  });
+}
+
+// Función para retirar el browser actual: las nuevas peticiones usan uno nuevo
+// y el anterior se cierra cuando terminan (o tras un tiempo de gracia)
+function retireBrowser(reason) {
+  const browser = browserInstance;
+  
+  if (!browser) {
+    return;
+  }
+  
+  console.log(`♻️ Reciclando browser (${reason})...`);
+  browserInstance = null;
+  browserStats.recycles++;
+  pagePool.drain();
+  
+  const closeBrowser = () => browser.close().catch(error => {
+    console.error('❌ Error cerrando browser reciclado:', error);
+  });
+  
+  if (pagePool.stats().activeRenders === 0) {
+    closeBrowser();
+  } else {
+    setTimeout(closeBrowser, BROWSER_RETIRE_GRACE).unref();
+  }
+}
+
+// Función para contabilizar un render y reciclar el browser si supera los límites
+function recordRender(browser) {
+  if (browser !== browserInstance) {
+    return;
+  }
+  
+  browserStats.renders++;
+  browserStats.rssMb = getProcessTreeRssMb(browser.process()?.pid);
+  
+  if (browserStats.renders >= BROWSER_MAX_RENDERS) {
+    retireBrowser(`${browserStats.renders} renders`);
+  } else if (browserStats.rssMb >= BROWSER_MAX_RSS_MB) {
+    retireBrowser(`${browserStats.rssMb} MB de RSS`);
+  }
+}
+
+// Pool de páginas: limita los renders simultáneos y encola el resto
+const pagePool = createPagePool({
+  getBrowser,
+  // Las páginas de un browser retirado no se reutilizan
+  isCurrentBrowser: (browser) => browser === browserInstance,
+  size: RENDER_CONCURRENCY,
+  maxQueue: RENDER_QUEUE_SIZE,
+  queueTimeout: RENDER_QUEUE_TIMEOUT
+});
+
+// Filtro de red de las páginas: bloquea file://, redes privadas y orígenes no permitidos
+const requestGuard = createRequestGuard({
+  allowedOrigins: SANDBOX_ALLOWED_ORIGINS,
+  allowPrivateNetwork: SANDBOX_ALLOW_PRIVATE_NETWORK
+});
+
+// Filtro de los callbacks de jobs: mismas reglas de red privada que las
+// páginas, pero sin lista de orígenes (el callback es del cliente, no del HTML)
+const callbackGuard = createRequestGuard({
+  allowPrivateNetwork: SANDBOX_ALLOW_PRIVATE_NETWORK
+});
+
+// Peticiones bloqueadas que se detallan por render (el resto solo se cuenta)
+const MAX_BLOCKED_REQUESTS = 50;
+
+// Caché en memoria de renders recientes (LRU por tamaño)
+const renderCache = createRenderCache({
+  maxBytes: RENDER_CACHE_MAX_MB * 1024 * 1024,
+  ttl: RENDER_CACHE_TTL
+});
+
+// Formatos de salida soportados y su content type / extensión en Storage
+const OUTPUT_FORMATS = {
+  png: { contentType: 'image/png', extension: 'png' },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Calidad por defecto para formatos con pérdida (jpeg, webp)
+const DEFAULT_QUALITY = 80;
+
+// Función para ajustar la extensión del archivo al formato elegido
+function withFormatExtension(filename, format) {
+  const { extension } = OUTPUT_FORMATS[format];
+  const knownExtensions = ['png', 'jpg', 'jpeg', 'webp', 'pdf'];
+  const dotIndex = filename.lastIndexOf('.');
+  
+  const baseName = dotIndex > 0 && knownExtensions.includes(filename.slice(dotIndex + 1).toLowerCase())
+    ? filename.slice(0, dotIndex)
+    : filename;
+  
+  return `${baseName}.${extension}`;
+}
+
+// Viewport por defecto cuando la petición no define tamaño ni escala
+const DEFAULT_VIEWPORT = {
+  width: 1200,
+  height: 800,
+  deviceScaleFactor: 2
+};
+
+// Tiempo máximo por defecto para cargar y dejar lista la página (ms)
+const DEFAULT_MAX_WAIT = 30000;
+
+// Función para calcular el alto máximo (px CSS) que cabe en MAX_RENDER_PIXELS con un viewport
+function maxCaptureHeight(viewport) {
+  return Math.floor(MAX_RENDER_PIXELS / (viewport.width * viewport.deviceScaleFactor ** 2));
+}
+
+// Función para saber si la página debe ejecutar JavaScript (options.javascript o SANDBOX_JAVASCRIPT)
+function isJavaScriptEnabled(options) {
+  return options.javascript !== undefined ? options.javascript : SANDBOX_JAVASCRIPT;
+}
+
+// Función para obtener los ms que quedan hasta `deadline`. Puppeteer trata
+// un timeout de 0 o menos como "sin límite", así que con el plazo vencido se
+// lanza un TimeoutError (504) en lugar de devolverlo.
+function timeLeft(deadline) {
+  const remaining = deadline - Date.now();
+  
+  if (remaining <= 0) {
+    const timeoutError = new Error('Tiempo de espera agotado: se superó maxWait');
+    timeoutError.name = 'TimeoutError';
+    throw timeoutError;
+  }
+  
+  return remaining;
+}
+
+// Función para esperar a que la página esté lista para capturarse:
+// fuentes cargadas, imágenes decodificadas y, opcionalmente, la bandera
+// window.__RENDER_READY__ y/o un selector. Todo limitado por `deadline`.
+async function waitForRenderReady(page, options, deadline) {
+  const remaining = () => timeLeft(deadline);
+  
+  // Sin JavaScript el documento no cambia tras cargar: basta con fuentes e
+  // imágenes. `evaluate` no tiene timeout propio, así que compite con el plazo.
+  if (!isJavaScriptEnabled(options)) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const timeoutError = new Error('Tiempo de espera agotado esperando fuentes e imágenes');
+        timeoutError.name = 'TimeoutError';
+        reject(timeoutError);
+      }, remaining());
+    });
+    
+    try {
+      await Promise.race([
+        page.evaluate(async () => {
+          await document.fonts.ready;
+          await Promise.all(Array.from(document.images).map(img => img.decode().catch(() => null)));
+        }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+    return;
+  }
+  
+  await page.waitForFunction(async () => {
+    await document.fonts.ready;
+    // Una imagen rota no debe bloquear el render
+    await Promise.all(Array.from(document.images).map(img => img.decode().catch(() => null)));
+    return true;
+  }, { timeout: remaining() });
+  
+  if (options.waitForReadyFlag) {
+    await page.waitForFunction(() => window.__RENDER_READY__ === true, { timeout: remaining() });
+  }
+  
+  if (options.waitForSelector) {
+    await page.waitForSelector(options.waitForSelector, { timeout: remaining() });
+  }
+}
+
+// Función para generar imagen (o PDF) desde HTML.
+// Si Chromium muere a mitad de render se reintenta una vez con un browser nuevo.
+async function htmlToImage(htmlContent, options = {}, attempt = 1) {
+  const format = options.format || 'png';
+  const viewport = {
+    width: options.width || DEFAULT_VIEWPORT.width,
+    height: options.height || DEFAULT_VIEWPORT.height,
+    deviceScaleFactor: options.scale || DEFAULT_VIEWPORT.deviceScaleFactor
+  };
+  // Con alto explícito se captura exactamente el viewport (p. ej. 1080x1080)
+  const fullPage = options.fullPage !== undefined ? options.fullPage : !options.height;
+  
+  // Sin JavaScript la página nunca pone la bandera ni añade el selector
+  const needsJavaScript = ['waitForReadyFlag', 'waitForSelector'].filter(option => options[option]);
+  if (needsJavaScript.length > 0 && !isJavaScriptEnabled(options)) {
+    const optionsError = new Error('Datos de entrada inválidos');
+    optionsError.statusCode = 422;
+    optionsError.errors = needsJavaScript.map(option => ({ path: `options.${option}`, message: 'requiere JavaScript activado' }));
+    throw optionsError;
+  }
+  
+  // El viewport ya debe caber en el presupuesto de píxeles; la página completa se recorta después
+  if (viewport.height > maxCaptureHeight(viewport)) {
+    const budgetError = new Error('Datos de entrada inválidos');
+    budgetError.statusCode = 422;
+    budgetError.errors = [{
+      path: 'options',
+      message: `width × height × scale² (${Math.round(viewport.width * viewport.height * viewport.deviceScaleFactor ** 2)}) supera el máximo de ${MAX_RENDER_PIXELS} píxeles`
+    }];
+    throw budgetError;
+  }
+  
+  // Esperar turno en el pool (lanza 503 si la cola está llena o se agota la espera)
+  const page = await pagePool.acquire();
+  // maxWait cuenta desde que hay página: la espera en cola tiene su propio límite
+  const deadline = Date.now() + (options.maxWait || DEFAULT_MAX_WAIT);
+  let discardPage = false;
+  let retry = false;
+  
+  // Peticiones de red que la página intentó hacer y el sandbox bloqueó
+  const blockedRequests = [];
+  let blockedCount = 0;
+  const onRequest = async (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    
+    try {
+      const verdict = await requestGuard.check(request.url());
+      
+      if (verdict.allowed) {
+        await request.continue();
+        return;
+      }
+      
+      blockedCount++;
+      if (blockedRequests.length < MAX_BLOCKED_REQUESTS) {
+        // Las data: URLs se permiten siempre, así que la URL nunca es enorme
+        blockedRequests.push({ url: request.url(), resourceType: request.resourceType(), reason: verdict.reason });
+      }
+      await request.abort('blockedbyclient');
+    } catch (error) {
+      // La página pudo cerrarse con la petición en vuelo
+    }
+  };
+  
+  try {
+    // Configurar viewport para imagen de alta calidad
+    await page.setViewport(viewport);
+    await page.setJavaScriptEnabled(isJavaScriptEnabled(options));
+    
+    // Toda petición de la página pasa por el sandbox
+    await page.setRequestInterception(true);
+    page.on('request', onRequest);
+    
+    // Establecer el contenido HTML
+    await page.setContent(htmlContent, {
+      waitUntil: 'load',
+      timeout: timeLeft(deadline)
+    });
+    
+    // Esperar a que se carguen las fuentes, imágenes y señales de la página
+    await waitForRenderReady(page, options, deadline);
+    
+    if (blockedCount > 0) {
+      console.warn(`🛡️ Sandbox: ${blockedCount} peticiones bloqueadas`);
+    }
+    
+    // PDF de una sola página con el alto completo del documento
+    if (format === 'pdf') {
+      const contentHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+      
+      const pdfBuffer = await page.pdf({
+        width: `${viewport.width}px`,
+        height: `${fullPage ? contentHeight : viewport.height}px`,
+        printBackground: !options.transparent,
+        pageRanges: '1'
+      });
+      
+      return { buffer: pdfBuffer, blockedRequests };
+    }
+    
+    const screenshotOptions = {
+      type: format,
+      omitBackground: Boolean(options.transparent)
+    };
+    
+    if (format !== 'png') {
+      screenshotOptions.quality = options.quality || DEFAULT_QUALITY;
+    }
+    
+    // Capturar solo el elemento indicado por el selector
+    if (options.selector) {
+      const element = await page.$(options.selector);
+      
+      if (!element) {
+        const notFoundError = new Error(`No se encontró ningún elemento para el selector "${options.selector}"`);
+        notFoundError.statusCode = 422;
+        throw notFoundError;
+      }
+      
+      const box = await element.boundingBox();
+      if (box && box.width * box.height * viewport.deviceScaleFactor ** 2 > MAX_RENDER_PIXELS) {
+        const sizeError = new Error(`El elemento "${options.selector}" supera el máximo de ${MAX_RENDER_PIXELS} píxeles`);
+        sizeError.statusCode = 422;
+        throw sizeError;
+      }
+      
+      return { buffer: await element.screenshot(screenshotOptions), blockedRequests };
+    }
+    
+    // Tomar screenshot de la página completa o del viewport. Una página que
+    // supera MAX_RENDER_PIXELS se recorta al alto máximo con el ancho del viewport.
+    screenshotOptions.fullPage = fullPage;
+    if (fullPage) {
+      const content = await page.evaluate(() => ({
+        width: document.documentElement.scrollWidth,
+        height: document.documentElement.scrollHeight
+      }));
+      
+      if (content.width * content.height * viewport.deviceScaleFactor ** 2 > MAX_RENDER_PIXELS) {
+        const maxHeight = maxCaptureHeight(viewport);
+        console.warn(`✂️ Página de ${content.width}×${content.height} px recortada a ${viewport.width}×${maxHeight} px (MAX_RENDER_PIXELS)`);
+        screenshotOptions.fullPage = false;
+        screenshotOptions.clip = { x: 0, y: 0, width: viewport.width, height: Math.min(content.height, maxHeight) };
+      }
+    }
+    const imageBuffer = await page.screenshot(screenshotOptions);
+    
+    return { buffer: imageBuffer, blockedRequests };
+    
+  } catch (error) {
+    // No reutilizar una página que falló a mitad de render
+    discardPage = true;
+    
+    const crashed = !page.browser().isConnected() || page.isClosed() ||
+      /crash|Target closed|Session closed/i.test(error.message);
+    
+    if (attempt === 1 && crashed) {
+      console.warn(`⚠️ Chromium cayó durante el render, reintentando: ${error.message}`);
+      retry = true;
+    } else {
+      console.error('❌ Error generando imagen:', error);
+      const renderError = new Error(`Error en generación de imagen: ${error.message}`);
+      renderError.statusCode = error.name === 'TimeoutError' ? 504 : error.statusCode;
+      // Un recurso bloqueado suele explicar un timeout o un render incompleto
+      if (blockedRequests.length > 0) {
+        renderError.blockedRequests = blockedRequests;
+      }
+      throw renderError;
+    }
+  } finally {
+    page.off('request', onRequest);
+    if (!discardPage) {
+      // Sin desactivar la intercepción, la navegación a about:blank del pool quedaría colgada
+      await page.setRequestInterception(false).catch(() => {
+        discardPage = true;
+      });
+    }
+    await pagePool.release(page, { discard: discardPage });
+    recordRender(page.browser());
+  }
+  
+  // Reintentar fuera del try para no retener el cupo del pool
+  return htmlToImage(htmlContent, options, attempt + 1);
+}
+
+// Función para resolver bucket, ruta y privacidad a partir de `storage` de la petición
+function resolveStorageTarget(filename, target = {}) {
+  const isPrivate = target.private !== undefined ? target.private : STORAGE_PRIVATE_DEFAULT;
+  const bucket = target.bucket || (isPrivate ? STORAGE_PRIVATE_BUCKET : STORAGE_BUCKET);
+  const invalid = (message) => {
+    const bucketError = new Error('Datos de entrada inválidos');
+    bucketError.statusCode = 422;
+    bucketError.errors = [{ path: 'storage.bucket', message }];
+    return bucketError;
+  };
+  
+  if (!STORAGE_ALLOWED_BUCKETS.includes(bucket)) {
+    throw invalid(`bucket no permitido: ${bucket}`);
+  }
+  
+  // Una imagen privada nunca debe acabar en un bucket público
+  if (isPrivate && bucket !== STORAGE_PRIVATE_BUCKET) {
+    throw invalid(`en modo privado el bucket debe ser ${STORAGE_PRIVATE_BUCKET}`);
+  }
+  
+  return {
+    bucket,
+    path: target.prefix ? `${target.prefix}/${filename}` : filename,
+    private: isPrivate,
+    expiresIn: target.expiresIn || SIGNED_URL_TTL
+  };
+}
+
+// Función para firmar un objeto existente con una URL que expira
+async function signObject(bucket, objectPath, expiresIn) {
+  const signedUrl = await storage.createSignedUrl(bucket, objectPath, expiresIn);
+  
+  return {
+    signedUrl,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+}
+
+// Función para obtener la URL de un objeto subido: firmada si es privado
+async function getObjectUrl(target) {
+  if (target.private) {
+    const { signedUrl, expiresAt } = await signObject(target.bucket, target.path, target.expiresIn);
+    return { imageUrl: signedUrl, expiresAt };
+  }
+  
+  return { imageUrl: storage.getPublicUrl(target.bucket, target.path), expiresAt: null };
+}
+
+// Función para subir imagen al backend de almacenamiento configurado.
+// En modo privado devuelve una URL firmada en lugar de la pública.
+async function uploadImage(imageBuffer, target, contentType = 'image/png') {
+  const { bucket, path: objectPath } = target;
+  
+  try {
+    console.log(`📤 Subiendo imagen a ${storage.name}: ${bucket}/${objectPath}`);
+    
+    await storage.upload(bucket, objectPath, imageBuffer, {
+      contentType,
+      cacheControl: '3600'
+    });
+    
+    const { imageUrl, expiresAt } = await getObjectUrl(target);
+    
+    console.log(`✅ Imagen subida exitosamente: ${target.private ? `privada, URL firmada hasta ${expiresAt}` : imageUrl}`);
+    return { imageUrl, expiresAt };
+    
+  } catch (error) {
+    console.error('❌ Error en uploadImage:', error);
+    throw new Error(`Error subiendo imagen: ${error.message}`);
+  }
+}
+
+// Registro de plantillas: nombre -> (versión -> plantilla)
+const templateRegistry = new Map();
+
+// Función para registrar una plantilla validando su forma
+function registerTemplate(template, source) {
+  const { name, version, schema, render } = template || {};
+  
+  if (typeof name !== 'string' || !name || !Number.isInteger(version) || version < 1 ||
+      typeof schema !== 'object' || typeof render !== 'function') {
+    throw new Error(`Plantilla inválida en ${source}: se requieren name, version (entero >= 1), schema y render`);
+  }
+  
+  if (!templateRegistry.has(name)) {
+    templateRegistry.set(name, new Map());
+  }
+  
+  try {
+    compileSchema(schema);
+  } catch (error) {
+    throw new Error(`Schema inválido en ${source}: ${error.message}`);
+  }
+  
+  const versions = templateRegistry.get(name);
+  if (versions.has(version)) {
+    throw new Error(`Plantilla duplicada ${name}@${version} en ${source}`);
+  }
+  
+  versions.set(version, template);
+}
+
+// Función para cargar todas las plantillas del directorio templates/.
+// Cada archivo exporta una plantilla o un array de versiones de la misma.
+function loadTemplates() {
+  const files = fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.js'));
+  
+  files.forEach(file => {
+    const source = path.join(TEMPLATES_DIR, file);
+    const exported = require(source);
+    const templates = Array.isArray(exported) ? exported : [exported];
+    templates.forEach(template => registerTemplate(template, file));
+  });
+  
+  console.log(`🧩 Plantillas cargadas: ${listTemplates().map(t => t.id).join(', ')}`);
+}
+
+// Función para resolver una referencia "nombre@versión" (sin versión usa la más reciente)
+function resolveTemplate(reference) {
+  const [name, versionString] = String(reference).split('@');
+  const versions = templateRegistry.get(name);
+  
+  if (!versions) {
+    return null;
+  }
+  
+  if (versionString === undefined) {
+    return versions.get(Math.max(...versions.keys()));
+  }
+  
+  return versions.get(Number(versionString)) || null;
+}
+
+// Función para listar las plantillas instaladas con su schema
+function listTemplates() {
+  const templates = [];
+  
+  templateRegistry.forEach((versions, name) => {
+    [...versions.keys()].sort((a, b) => a - b).forEach(version => {
+      const template = versions.get(version);
+      templates.push({
+        id: `${name}@${version}`,
+        name,
+        version,
+        description: template.description || '',
+        schema: template.schema
+      });
+    });
+  });
+  
+  return templates;
+}
+
+// Función para aplicar el tema guardado de la organización a una plantilla con
+// tema. El que venga en `organization.theme` tiene prioridad campo a campo.
+async function applyStoredTheme(template, spec) {
+  const organization = spec.data.organization;
+  
+  if (!template.themeSchema || !organization || organization.id === undefined) {
+    return spec.data;
+  }
+  
+  // Un id que no podría tener tema guardado no se busca en Storage
+  const organizationId = String(organization.id);
+  if (validate(themeParamsSchema, { organizationId }).length > 0) {
+    return spec.data;
+  }
+  
+  const storedTheme = await themeStore.get(spec.tenant || DEFAULT_THEME_TENANT, organizationId);
+  
+  if (!storedTheme) {
+    return spec.data;
+  }
+  
+  return {
+    ...spec.data,
+    organization: {
+      ...organization,
+      theme: template.mergeThemes(storedTheme, organization.theme)
+    }
+  };
+}
+
+// Función para construir el HTML de una petición: HTML directo o plantilla + data.
+// Lanza 404 si la plantilla no existe y 422 si data no cumple su schema.
+async function buildRenderInput(spec) {
+  if (spec.htmlContent !== undefined) {
+    return {
+      htmlContent: spec.htmlContent,
+      templateId: null,
+      defaultFilename: `image-${Date.now()}`,
+      warnings: []
+    };
+  }
+  
+  const template = resolveTemplate(spec.template);
+  
+  if (!template) {
+    const notFoundError = new Error(`Plantilla no encontrada: ${spec.template}`);
+    notFoundError.statusCode = 404;
+    throw notFoundError;
+  }
+  
+  // Validar data contra el schema de la plantilla
+  const dataErrors = validate(template.schema, spec.data, 'data');
+  if (dataErrors.length > 0) {
+    const validationError = new Error('Datos de entrada inválidos');
+    validationError.statusCode = 422;
+    validationError.errors = dataErrors;
+    throw validationError;
+  }
+  
+  const data = await applyStoredTheme(template, spec);
+  // render devuelve el HTML o { html, warnings } con lo que corrigió en los datos
+  const rendered = template.render(data);
+  const { html, warnings = [] } = typeof rendered === 'string' ? { html: rendered } : rendered;
+  
+  return {
+    htmlContent: html,
+    templateId: `${template.name}@${template.version}`,
+    defaultFilename: `${template.name}-${Date.now()}`,
+    warnings: warnings.map(warning => ({ ...warning, path: `data.${warning.path}` }))
+  };
+}
+
+// Función para resolver las opciones que afectan al resultado con sus valores
+// por defecto, de modo que `{}` y `{ format: 'png' }` den la misma clave de caché
+function normalizeRenderOptions(options) {
+  const format = options.format || 'png';
+  
+  return {
+    format,
+    quality: format === 'jpeg' || format === 'webp' ? options.quality || DEFAULT_QUALITY : null,
+    width: options.width || DEFAULT_VIEWPORT.width,
+    height: options.height || DEFAULT_VIEWPORT.height,
+    scale: options.scale || DEFAULT_VIEWPORT.deviceScaleFactor,
+    fullPage: options.fullPage !== undefined ? options.fullPage : !options.height,
+    transparent: Boolean(options.transparent),
+    selector: options.selector || null,
+    waitForSelector: options.waitForSelector || null,
+    waitForReadyFlag: Boolean(options.waitForReadyFlag),
+    javascript: isJavaScriptEnabled(options)
+  };
+}
+
+// Función para preparar una petición: HTML (con los assets ya embebidos),
+// nombre final, formato y clave de caché
+async function prepareRender(spec) {
+  const options = spec.options || {};
+  const format = options.format || 'png';
+  const input = await buildRenderInput(spec);
+  const { templateId, defaultFilename, warnings } = input;
+  const htmlContent = await assetStore.inline(input.htmlContent, { tenant: spec.tenant });
+  
+  return {
+    htmlContent,
+    options,
+    format,
+    contentType: OUTPUT_FORMATS[format].contentType,
+    filename: withFormatExtension(spec.filename || defaultFilename, format),
+    templateId,
+    warnings,
+    // null cuando la petición pide `cache: false` o la caché está desactivada
+    cacheKey: RENDER_CACHE_ENABLED && spec.cache !== false
+      ? computeRenderKey(htmlContent, normalizeRenderOptions(options))
+      : null
+  };
+}
+
+// Función para renderizar una petición sin subirla: devuelve el buffer y sus metadatos
+async function renderToBuffer(spec) {
+  const { htmlContent, options, cacheKey, ...prepared } = await prepareRender(spec);
+  const cached = cacheKey && renderCache.get(cacheKey);
+  
+  if (cached) {
+    console.log(`⚡ Render en caché (${cacheKey.slice(0, 12)})`);
+    return { buffer: cached.buffer, cacheHit: true, ...prepared };
+  }
+  
+  console.log(`🎨 Renderizando ${prepared.templateId || 'HTML'} a ${prepared.format}...`);
+  const { buffer, blockedRequests } = await htmlToImage(htmlContent, options);
+  
+  if (cacheKey) {
+    renderCache.set(cacheKey, buffer);
+  }
+  
+  return { buffer, cacheHit: false, blockedRequests, ...prepared };
+}
+
+// Función para limitar una petición a su tenant: `storage.prefix` pasa a ser
+// relativo a la carpeta del tenant y solo se pueden usar sus assets
+function scopeToTenant(spec, tenant) {
+  if (!tenant) {
+    return { ...spec, tenant: null };
+  }
+  
+  const target = spec.storage || {};
+  
+  return {
+    ...spec,
+    // Los assets asset:// también se limitan al tenant
+    tenant: tenant.id,
+    storage: {
+      ...target,
+      prefix: target.prefix ? `${tenant.prefix}/${target.prefix}` : tenant.prefix
+    }
+  };
+}
+
+// Función para calcular la ruta de la copia direccionada por contenido de un
+// render: misma carpeta y mismo prefijo (hasta el primer `-`) que la imagen,
+// p. ej. `agenda-<hash>.png`, para que las reglas de retención que cubren la
+// imagen cubran también su copia
+function cacheObjectPath(objectPath, cacheKey) {
+  const folder = path.posix.dirname(objectPath);
+  const name = path.posix.basename(objectPath);
+  const extension = path.posix.extname(name);
+  const cacheName = `${name.slice(0, name.length - extension.length).split('-')[0]}-${cacheKey}${extension}`;
+  
+  return folder === '.' ? cacheName : `${folder}/${cacheName}`;
+}
+
+// Función para leer un render en caché de Storage (null si no existe)
+async function downloadCachedRender(bucket, objectPath) {
+  try {
+    return await storage.download(bucket, objectPath);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Función para renderizar una petición y subir el resultado a Storage.
+// El objeto siempre se guarda (y se sube) con `filename`: la caché solo evita
+// volver a renderizar. Primero se busca en el LRU en memoria y después en la
+// copia direccionada por contenido que se guarda junto a la imagen, que
+// sobrevive a reinicios y se comparte entre réplicas.
+async function renderAndUpload(spec) {
+  const { htmlContent, options, contentType, filename, templateId, format, warnings, cacheKey } = await prepareRender(spec);
+  // Validar el destino antes de renderizar para fallar rápido
+  const target = resolveStorageTarget(filename, spec.storage);
+  const cachePath = cacheKey && cacheObjectPath(target.path, cacheKey);
+  
+  const cached = cacheKey && renderCache.get(cacheKey);
+  let buffer = cached ? cached.buffer : null;
+  
+  if (!buffer && cachePath) {
+    buffer = await downloadCachedRender(target.bucket, cachePath);
+    
+    if (buffer) {
+      console.log(`⚡ Imagen en caché de ${storage.name}: ${target.bucket}/${cachePath}`);
+      renderCache.set(cacheKey, buffer);
+    }
+  } else if (buffer) {
+    console.log(`⚡ Render en caché (${cacheKey.slice(0, 12)})`);
+  }
+  
+  const cacheHit = Boolean(buffer);
+  let blockedRequests;
+  
+  if (!buffer) {
+    console.log(`🎨 Renderizando ${templateId || 'HTML'} a ${format}...`);
+    ({ buffer, blockedRequests } = await htmlToImage(htmlContent, options));
+    
+    if (cacheKey) {
+      renderCache.set(cacheKey, buffer);
+    }
+  }
+  
+  console.log(`☁️ Subiendo imagen a ${storage.name}...`);
+  const url = await uploadImage(buffer, target, contentType);
+  
+  // La copia en caché es opcional: si falla, la imagen ya está subida
+  if (cachePath && !cacheHit) {
+    try {
+      await storage.upload(target.bucket, cachePath, buffer, { contentType, cacheControl: '3600' });
+    } catch (error) {
+      console.warn(`⚠️ No se pudo guardar el render en caché (${cachePath}): ${error.message}`);
+    }
+  }
+  
+  return {
+    imageUrl: url.imageUrl,
+    filename: path.basename(filename),
+    bucket: target.bucket,
+    path: target.path,
+    ...(target.private && { signed: true, expiresAt: url.expiresAt }),
+    format,
+    cacheHit,
+    // Solo se conocen cuando se ha renderizado en esta petición
+    ...(blockedRequests && { blockedRequests }),
+    ...(warnings.length > 0 && { warnings }),
+    ...(templateId && { template: templateId })
+  };
+}
+
+// Modos de respuesta: url (subir a Storage), binary (bytes) o base64 (JSON)
+const RESPONSE_MODES = ['url', 'binary', 'base64'];
+
+// Función para decidir el modo de respuesta desde ?response= o la cabecera Accept
+function getResponseMode(req) {
+  if (req.query.response) {
+    return req.query.response;
+  }
+  
+  // Un cliente que prefiere imagen/PDF sobre JSON recibe los bytes directamente
+  const fileTypes = Object.values(OUTPUT_FORMATS).map(format => format.contentType);
+  const preferred = req.accepts(['application/json', ...fileTypes]);
+  return fileTypes.includes(preferred) ? 'binary' : 'url';
+}
+
+// Middleware para rechazar modos de respuesta desconocidos
+function validateResponseMode(req, res, next) {
+  if (req.query.response && !RESPONSE_MODES.includes(req.query.response)) {
+    return res.status(422).json({
+      success: false,
+      error: 'Datos de entrada inválidos',
+      errors: [{ path: 'query.response', message: `debe ser uno de: ${RESPONSE_MODES.join(', ')}` }]
+    });
+  }
+  
+  next();
+}
+
+// Función para responder un render sin subirlo: bytes o base64 en JSON
+function sendRenderedFile(res, rendered, mode, processingTime) {
+  const { buffer, filename, format, contentType, templateId, cacheHit, blockedRequests, warnings } = rendered;
+  
+  if (mode === 'base64') {
+    return res.json({
+      success: true,
+      filename,
+      format,
+      contentType,
+      cacheHit,
+      ...(blockedRequests && { blockedRequests }),
+      ...(warnings.length > 0 && { warnings }),
+      ...(templateId && { template: templateId }),
+      data: buffer.toString('base64'),
+      processingTime
+    });
+  }
+  
+  res.set({
+    'Content-Type': contentType,
+    'Content-Length': buffer.length,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    // Puede contener datos de clientes: solo caché privada
+    'Cache-Control': 'private, max-age=3600',
+    'X-Cache': cacheHit ? 'HIT' : 'MISS',
+    'X-Blocked-Requests': String(blockedRequests ? blockedRequests.length : 0),
+    'X-Render-Warnings': String(warnings.length),
+    'X-Processing-Time': String(processingTime)
+  });
+  
+  return res.end(buffer);
+}
+
+// Función para responder errores de renderizado con su código HTTP
+function sendErrorResponse(res, error, processingTime) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.errors && { errors: error.errors }),
+    ...(error.blockedRequests && { blockedRequests: error.blockedRequests }),
+    processingTime
+  });
+}
+
+// Endpoint principal para generar imagen
+app.post('/generate-image', auth.authenticate, validateResponseMode, validateBody(generateImageSchema), auth.consumeQuota(), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log('🖼️ Iniciando generación de imagen...');
+    
+    const mode = getResponseMode(req);
+    if (mode !== 'url') {
+      const rendered = await renderToBuffer(scopeToTenant(req.body, req.tenant));
+      return sendRenderedFile(res, rendered, mode, Date.now() - startTime);
+    }
+    
+    const result = await renderAndUpload(scopeToTenant(req.body, req.tenant));
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ Imagen generada exitosamente en ${processingTime}ms`);
+    
+    res.json({
+      success: true,
+      ...result,
+      processingTime,
+      message: 'Imagen generada y subida exitosamente'
+    });
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`❌ Error generando imagen (${processingTime}ms):`, error);
+    
+    sendErrorResponse(res, error, processingTime);
+  }
+});
+
+// Endpoint para generar imagen de agenda a partir de datos estructurados
+app.post('/render/agenda', auth.authenticate, validateResponseMode, validateBody(renderAgendaSchema), auth.consumeQuota(), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log('📅 Iniciando generación de agenda...');
+    
+    const { organization, date, members, locale, timeFormat, options, storage: target } = req.body;
+    
+    // La agenda se construye en el servidor con la plantilla daily-agenda
+    const spec = {
+      template: 'daily-agenda',
+      data: { organization, date, members, locale, timeFormat },
+      filename: req.body.filename || `agenda-${organization.id}-${date}-${Date.now()}`,
+      options,
+      storage: target,
+      cache: req.body.cache
+    };
+    
+    const mode = getResponseMode(req);
+    if (mode !== 'url') {
+      const { templateId, ...rendered } = await renderToBuffer(scopeToTenant(spec, req.tenant));
+      return sendRenderedFile(res, rendered, mode, Date.now() - startTime);
+    }
+    
+    const { template, ...result } = await renderAndUpload(scopeToTenant(spec, req.tenant));
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ Agenda generada exitosamente en ${processingTime}ms`);
+    
+    res.json({
+      success: true,
+      ...result,
+      processingTime,
+      message: 'Agenda generada y subida exitosamente'
+    });
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`❌ Error generando agenda (${processingTime}ms):`, error);
+    
+    sendErrorResponse(res, error, processingTime);
+  }
+});
 
-// Inicializar Express
-const app = express();
+// Endpoint para generar imagen a partir de una plantilla registrada
+app.post('/render', auth.authenticate, validateResponseMode, validateBody(renderTemplateSchema), auth.consumeQuota(), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log(`🧩 Renderizando plantilla ${req.body.template}...`);
+    
+    const mode = getResponseMode(req);
+    if (mode !== 'url') {
+      const rendered = await renderToBuffer(scopeToTenant(req.body, req.tenant));
+      return sendRenderedFile(res, rendered, mode, Date.now() - startTime);
+    }
+    
+    const result = await renderAndUpload(scopeToTenant(req.body, req.tenant));
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ Plantilla ${result.template} generada exitosamente en ${processingTime}ms`);
+    
+    res.json({
+      success: true,
+      ...result,
+      processingTime,
+      message: 'Imagen generada y subida exitosamente'
+    });
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`❌ Error renderizando plantilla (${processingTime}ms):`, error);
+    
+    sendErrorResponse(res, error, processingTime);
+  }
+});
 
-// Middleware de seguridad y optimización
-app.use(helmet());
-app.use(compression());
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Función para procesar una lista con un máximo de `limit` tareas en paralelo,
+// conservando el orden de los resultados
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-// Middleware de logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+// Endpoint para generar varias imágenes en una sola llamada.
+// Cada elemento tiene su propio resultado: un fallo no afecta al resto del lote.
+app.post('/generate-images/batch', auth.authenticate, validateBody(batchSchema), auth.consumeQuota(req => req.body.items.length), async (req, res) => {
+  const startTime = Date.now();
+  const { items } = req.body;
+  // El paralelismo nunca supera el tamaño del pool de páginas
+  const concurrency = Math.min(req.body.concurrency || RENDER_CONCURRENCY, RENDER_CONCURRENCY);
+  
+  console.log(`📚 Iniciando lote de ${items.length} imágenes (paralelismo ${concurrency})...`);
+  
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const itemStartTime = Date.now();
+    
+    try {
+      const result = await renderAndUpload(scopeToTenant(item, req.tenant));
+      return {
+        index,
+        success: true,
+        ...result,
+        processingTime: Date.now() - itemStartTime
+      };
+    } catch (error) {
+      console.error(`❌ Error en elemento ${index} del lote:`, error.message);
+      return {
+        index,
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+        processingTime: Date.now() - itemStartTime
+      };
+    }
+  });
+  
+  const succeeded = results.filter(result => result.success).length;
+  const processingTime = Date.now() - startTime;
+  console.log(`✅ Lote terminado: ${succeeded}/${items.length} correctas en ${processingTime}ms`);
+  
+  res.json({
+    success: true,
+    total: items.length,
+    succeeded,
+    failed: items.length - succeeded,
+    results,
+    processingTime
+  });
 });
 
-// Variable global para reutilizar instancia de browser
-let browserInstance = null;
+// Cola de jobs asíncronos (en memoria; la interfaz del store admite uno persistente)
+const jobQueue = createJobQueue({
+  store: createMemoryJobStore({ ttl: JOB_TTL }),
+  processJob: renderAndUpload,
+  concurrency: JOB_CONCURRENCY,
+  maxQueue: JOB_QUEUE_SIZE,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  checkCallbackUrl: callbackGuard.check
+});
+const jobStore = jobQueue.store;
 
-// Función para obtener o crear instancia de browser
-async function getBrowser() {
-  if (!browserInstance || !browserInstance.isConnected()) {
-    console.log('🚀 Iniciando nueva instancia de Puppeteer...');
-    
-    browserInstance = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--run-all-compositor-stages-before-draw',
-        '--disable-background-timer-throttling',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-ipc-flooding-protection',
-        '--memory-pressure-off'
-      ],
-      defaultViewport: {
-        width: 1200,
-        height: 800,
-        deviceScaleFactor: 2
-      }
+// Middleware que rechaza un callbackUrl a una red privada antes de consumir
+// cuota; al entregar el callback se vuelve a comprobar
+async function checkCallbackUrl(req, res, next) {
+  if (!req.body.callbackUrl) {
+    return next();
+  }
+  
+  const verdict = await callbackGuard.check(req.body.callbackUrl);
+  if (!verdict.allowed) {
+    return res.status(422).json({
+      success: false,
+      error: 'Datos de entrada inválidos',
+      errors: [{ path: 'callbackUrl', message: `no se permite esta URL (${verdict.reason})` }]
     });
-    
-    console.log('✅ Instancia de Puppeteer iniciada exitosamente');
   }
   
-  return browserInstance;
+  next();
 }
 
-// Función para generar imagen desde HTML
-async function htmlToImage(htmlContent) {
-  let page = null;
-  
+// Endpoint para crear un job de render asíncrono
+app.post('/jobs', auth.authenticate, validateBody(createJobSchema), checkCallbackUrl, auth.consumeQuota(), async (req, res) => {
   try {
-    const browser = await getBrowser();
-    page = await browser.newPage();
-    
-    // Configurar viewport para imagen de alta calidad
-    await page.setViewport({
-      width: 1200,
-      height: 800,
-      deviceScaleFactor: 2
+    const { callbackUrl, ...request } = req.body;
+    const job = await jobQueue.enqueue(scopeToTenant(request, req.tenant), {
+      callbackUrl,
+      tenant: req.tenant && req.tenant.id
     });
     
-    // Establecer el contenido HTML
-    await page.setContent(htmlContent, {
-      waitUntil: ['networkidle0', 'domcontentloaded'],
-      timeout: 30000
+    console.log(`📥 Job ${job.id} encolado`);
+    
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`
     });
     
-    // Esperar a que se carguen las fuentes y estilos
-    await page.waitForTimeout(2000);
+  } catch (error) {
+    console.error('❌ Error creando job:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para consultar el estado de un job
+app.get('/jobs/:id', auth.authenticate, async (req, res) => {
+  try {
+    const job = await jobStore.get(req.params.id);
     
-    // Tomar screenshot del elemento body completo
-    const imageBuffer = await page.screenshot({
-      type: 'png',
-      fullPage: true
-    });
+    // Un job de otro tenant se trata como inexistente
+    if (!job || job.tenant !== (req.tenant ? req.tenant.id : null)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job no encontrado'
+      });
+    }
     
-    return imageBuffer;
+    res.json({
+      success: true,
+      job: toPublicJob(job)
+    });
     
   } catch (error) {
-    console.error('❌ Error generando imagen:', error);
-    throw new Error(`Error en generación de imagen: ${error.message}`);
-  } finally {
-    if (page) {
-      await page.close();
-    }
+    console.error('❌ Error consultando job:', error);
+    sendErrorResponse(res, error);
   }
-}
+});
 
-// Función para subir imagen a Supabase Storage
-async function uploadImageToSupabase(imageBuffer, filename) {
+// Endpoint para generar una nueva URL firmada de un objeto ya subido
+app.post('/signed-urls', auth.authenticate, validateBody(signedUrlSchema), async (req, res) => {
   try {
-    console.log(`📤 Subiendo imagen a Supabase Storage: ${filename}`);
-    
-    const { data, error } = await supabase.storage
-      .from('agenda-images')
-      .upload(filename, imageBuffer, {
-        contentType: 'image/png',
-        cacheControl: '3600',
-        upsert: true
+    const bucket = req.body.bucket || STORAGE_PRIVATE_BUCKET;
+    const expiresIn = req.body.expiresIn || SIGNED_URL_TTL;
+    
+    // Cada tenant solo puede firmar objetos de su propio prefijo
+    if (req.tenant && !req.body.path.startsWith(`${req.tenant.prefix}/`)) {
+      return res.status(403).json({
+        success: false,
+        error: `La ruta no pertenece al tenant ${req.tenant.id}`
       });
+    }
     
-    if (error) {
-      console.error('❌ Error subiendo a Supabase Storage:', error);
-      throw error;
+    if (!STORAGE_ALLOWED_BUCKETS.includes(bucket)) {
+      return res.status(422).json({
+        success: false,
+        error: 'Datos de entrada inválidos',
+        errors: [{ path: 'bucket', message: `bucket no permitido: ${bucket}` }]
+      });
     }
     
-    // Obtener URL pública
-    const { data: { publicUrl } } = supabase.storage
-      .from('agenda-images')
-      .getPublicUrl(filename);
+    const { signedUrl, expiresAt } = await signObject(bucket, req.body.path, expiresIn);
     
-    console.log(`✅ Imagen subida exitosamente: ${publicUrl}`);
-    return publicUrl;
+    res.json({
+      success: true,
+      signedUrl,
+      bucket,
+      path: req.body.path,
+      expiresAt
+    });
     
   } catch (error) {
-    console.error('❌ Error en uploadImageToSupabase:', error);
-    throw new Error(`Error subiendo imagen: ${error.message}`);
+    console.error('❌ Error firmando URL:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Middleware para exigir `Authorization: Bearer <ADMIN_TOKEN>`
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      error: 'Endpoints de administración deshabilitados: configura ADMIN_TOKEN'
+    });
   }
+  
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+  
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Token de administración inválido'
+    });
+  }
+  
+  next();
 }
 
-// Endpoint principal para generar imagen
-app.post('/generate-image', async (req, res) => {
-  const startTime = Date.now();
+// Reglas por defecto: agendas de más de 30 días, en la raíz de ambos buckets
+// y en la carpeta de cada tenant
+function defaultRetentionRules() {
+  const roots = ['', ...auth.tenantPrefixes.map(prefix => `${prefix}/`)];
+  
+  return [STORAGE_BUCKET, STORAGE_PRIVATE_BUCKET].flatMap(bucket => roots.map(root => (
+    { bucket, prefix: `${root}agenda-`, maxAgeDays: 30 }
+  )));
+}
+
+// Función para leer las reglas de retención de RETENTION_RULES (JSON)
+function loadRetentionRules() {
+  const rules = process.env.RETENTION_RULES
+    ? JSON.parse(process.env.RETENTION_RULES)
+    : defaultRetentionRules();
+  
+  const errors = validate(retentionRulesSchema, rules, 'RETENTION_RULES');
+  if (errors.length === 0) {
+    rules.forEach((rule, index) => {
+      if (!STORAGE_ALLOWED_BUCKETS.includes(rule.bucket)) {
+        errors.push({ path: `RETENTION_RULES.${index}.bucket`, message: `bucket no permitido: ${rule.bucket}` });
+      }
+    });
+  }
   
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => `${error.path}: ${error.message}`).join('; '));
+  }
+  
+  return rules;
+}
+
+let retentionJob;
+try {
+  retentionJob = createRetentionJob({
+    storage,
+    rules: loadRetentionRules(),
+    interval: RETENTION_INTERVAL
+  });
+} catch (error) {
+  console.error('❌ Error en las reglas de retención:', error.message);
+  process.exit(1);
+}
+
+// Endpoint para consultar las reglas de retención y la última limpieza
+app.get('/admin/retention', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    ...retentionJob.stats()
+  });
+});
+
+// Endpoint para lanzar la limpieza a mano. Por seguridad es dry-run salvo
+// que se pida `dryRun: false` explícitamente.
+app.post('/admin/retention/run', requireAdmin, validateBody(retentionRunSchema), async (req, res) => {
   try {
-    console.log('🖼️ Iniciando generación de imagen...');
+    const dryRun = req.body.dryRun !== false;
+    const report = await retentionJob.run({ dryRun });
     
-    // Validar datos de entrada
-    const { htmlContent, filename } = req.body;
+    res.json({
+      success: true,
+      ...report
+    });
     
-    if (!htmlContent) {
-      return res.status(400).json({
-        success: false,
-        error: 'htmlContent es requerido'
+  } catch (error) {
+    console.error('❌ Error en la limpieza de retención:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para consultar el uso de cada tenant (sin las keys)
+app.get('/admin/tenants', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    authEnabled: auth.enabled,
+    tenants: auth.stats()
+  });
+});
+
+// Middleware para que cada tenant gestione solo sus propios assets
+function authorizeAssetTenant(req, res, next) {
+  if (req.tenant && req.params.tenant !== req.tenant.id) {
+    return res.status(403).json({
+      success: false,
+      error: `Los assets de ${req.params.tenant} no pertenecen al tenant ${req.tenant.id}`
+    });
+  }
+  
+  next();
+}
+
+// Endpoint para subir (o reemplazar) un asset. El cuerpo es el archivo tal cual.
+app.put('/assets/:tenant/:name',
+  auth.authenticate,
+  validateParams(assetParamsSchema),
+  authorizeAssetTenant,
+  express.raw({ type: () => true, limit: ASSET_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      const { tenant, name } = req.params;
+      
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Datos de entrada inválidos',
+          errors: [{ path: '(raíz)', message: 'el archivo está vacío' }]
+        });
+      }
+      
+      await assetStore.put(tenant, name, req.body);
+      console.log(`🖼️ Asset subido: asset://${tenant}/${name} (${req.body.length} bytes)`);
+      
+      res.status(201).json({
+        success: true,
+        name,
+        ref: `asset://${tenant}/${name}`,
+        size: req.body.length
       });
+      
+    } catch (error) {
+      console.error('❌ Error subiendo asset:', error);
+      sendErrorResponse(res, error);
     }
+  });
+
+// Endpoint para listar los assets de un tenant
+app.get('/assets/:tenant', auth.authenticate, validateParams(assetParamsSchema), authorizeAssetTenant, async (req, res) => {
+  try {
+    const assets = await assetStore.list(req.params.tenant);
     
-    if (!filename) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      tenant: req.params.tenant,
+      assets
+    });
+    
+  } catch (error) {
+    console.error('❌ Error listando assets:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para borrar un asset
+app.delete('/assets/:tenant/:name', auth.authenticate, validateParams(assetParamsSchema), authorizeAssetTenant, async (req, res) => {
+  try {
+    const { tenant, name } = req.params;
+    const removed = await assetStore.remove(tenant, name);
+    
+    if (!removed) {
+      return res.status(404).json({
         success: false,
-        error: 'filename es requerido'
+        error: `Asset no encontrado: asset://${tenant}/${name}`
       });
     }
     
-    // Generar imagen desde HTML
-    console.log('🎨 Renderizando HTML a imagen...');
-    const imageBuffer = await htmlToImage(htmlContent);
+    res.json({
+      success: true,
+      ref: `asset://${tenant}/${name}`
+    });
+    
+  } catch (error) {
+    console.error('❌ Error borrando asset:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Función para obtener el tenant bajo el que se guardan los temas de la petición
+function getThemeTenant(req) {
+  return req.tenant ? req.tenant.id : DEFAULT_THEME_TENANT;
+}
+
+// Endpoint para guardar (o reemplazar) el tema de marca de una organización
+app.put('/themes/:organizationId', auth.authenticate, validateParams(themeParamsSchema), validateBody(themeSchema), async (req, res) => {
+  try {
+    const { organizationId } = req.params;
     
-    // Subir imagen a Supabase Storage
-    console.log('☁️ Subiendo imagen a Supabase...');
-    const imageUrl = await uploadImageToSupabase(imageBuffer, filename);
+    await themeStore.put(getThemeTenant(req), organizationId, req.body);
+    console.log(`🎨 Tema guardado para la organización ${organizationId}`);
     
-    const processingTime = Date.now() - startTime;
-    console.log(`✅ Imagen generada exitosamente en ${processingTime}ms`);
+    res.status(201).json({
+      success: true,
+      organizationId,
+      theme: req.body
+    });
+    
+  } catch (error) {
+    console.error('❌ Error guardando tema:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para listar las organizaciones con tema guardado
+app.get('/themes', auth.authenticate, async (req, res) => {
+  try {
+    const themes = await themeStore.list(getThemeTenant(req));
     
     res.json({
       success: true,
-      imageUrl,
-      processingTime,
-      message: 'Imagen generada y subida exitosamente'
+      themes
     });
     
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error(`❌ Error generando imagen (${processingTime}ms):`, error);
+    console.error('❌ Error listando temas:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para consultar el tema guardado de una organización
+app.get('/themes/:organizationId', auth.authenticate, validateParams(themeParamsSchema), async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const theme = await themeStore.get(getThemeTenant(req), organizationId);
     
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      processingTime
+    if (!theme) {
+      return res.status(404).json({
+        success: false,
+        error: `La organización ${organizationId} no tiene tema guardado`
+      });
+    }
+    
+    res.json({
+      success: true,
+      organizationId,
+      theme
+    });
+    
+  } catch (error) {
+    console.error('❌ Error consultando tema:', error);
+    sendErrorResponse(res, error);
+  }
+});
+
+// Endpoint para borrar el tema guardado de una organización
+app.delete('/themes/:organizationId', auth.authenticate, validateParams(themeParamsSchema), async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const removed = await themeStore.remove(getThemeTenant(req), organizationId);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `La organización ${organizationId} no tiene tema guardado`
+      });
+    }
+    
+    res.json({
+      success: true,
+      organizationId
     });
+    
+  } catch (error) {
+    console.error('❌ Error borrando tema:', error);
+    sendErrorResponse(res, error);
   }
 });
 
+// Endpoint para listar las plantillas instaladas
+app.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
 // Endpoint de health check
 app.get('/health', (req, res) => {
   res.json({
@@ -207,7 +1718,19 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    browserConnected: browserInstance?.isConnected() || false
+    storage: storage.name,
+    browserConnected: browserInstance?.isConnected() || false,
+    browser: {
+      ...browserStats,
+      maxRenders: BROWSER_MAX_RENDERS,
+      maxRssMb: BROWSER_MAX_RSS_MB
+    },
+    renderQueue: pagePool.stats(),
+    renderCache: {
+      enabled: RENDER_CACHE_ENABLED,
+      ...renderCache.stats()
+    },
+    jobs: jobQueue.stats()
   });
 });
 
@@ -219,6 +1742,23 @@ app.get('/', (req, res) => {
     description: 'Microservicio para generar imágenes de agenda a partir de HTML/CSS',
     endpoints: {
       'POST /generate-image': 'Generar imagen desde HTML',
+      'POST /render/agenda': 'Generar imagen de agenda desde datos estructurados',
+      'POST /render': 'Generar imagen desde una plantilla registrada',
+      'GET /templates': 'Listar plantillas instaladas y sus schemas',
+      'POST /generate-images/batch': 'Generar varias imágenes en una sola llamada',
+      'POST /jobs': 'Crear un job de render asíncrono',
+      'GET /jobs/:id': 'Consultar estado y resultado de un job',
+      'POST /signed-urls': 'Generar una URL firmada para una imagen ya subida',
+      'PUT /assets/:tenant/:name': 'Subir un logo, imagen o fuente del tenant',
+      'GET /assets/:tenant': 'Listar los assets del tenant',
+      'DELETE /assets/:tenant/:name': 'Borrar un asset',
+      'PUT /themes/:organizationId': 'Guardar el tema de marca de una organización',
+      'GET /themes': 'Listar las organizaciones con tema guardado',
+      'GET /themes/:organizationId': 'Consultar el tema guardado de una organización',
+      'DELETE /themes/:organizationId': 'Borrar el tema guardado de una organización',
+      'GET /admin/retention': 'Reglas de retención y última limpieza (requiere ADMIN_TOKEN)',
+      'POST /admin/retention/run': 'Aplicar las reglas de retención, con dry-run (requiere ADMIN_TOKEN)',
+      'GET /admin/tenants': 'Uso de cuota y rate limit por tenant (requiere ADMIN_TOKEN)',
       'GET /health': 'Estado del servicio',
       'GET /': 'Información del servicio'
     }
@@ -227,6 +1767,26 @@ app.get('/', (req, res) => {
 
 // Manejo de errores globales
 app.use((error, req, res, next) => {
+  // Errores de body-parser: JSON mal formado o cuerpo demasiado grande
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'JSON inválido en el cuerpo de la petición'
+    });
+  }
+  
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      error: 'El cuerpo de la petición excede el tamaño máximo permitido'
+    });
+  }
+  
+  // Errores con código propio (autenticación, rate limit, cuota)
+  if (error.statusCode) {
+    return sendErrorResponse(res, error);
+  }
+  
   console.error('❌ Error no manejado:', error);
   res.status(500).json({
     success: false,
@@ -243,9 +1803,11 @@ app.use('*', (req, res) => {
 });
 
 // Función de limpieza al cerrar el proceso
-async function cleanup() {
+async function cleanup(exitCode = 0) {
   console.log('🧹 Cerrando recursos...');
   
+  retentionJob.stop();
+  
   if (browserInstance) {
     try {
       await browserInstance.close();
@@ -255,24 +1817,54 @@ async function cleanup() {
     }
   }
   
-  process.exit(0);
+  process.exit(exitCode);
 }
 
 // Manejo de señales de cierre
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
+process.on('SIGINT', () => cleanup());
+process.on('SIGTERM', () => cleanup());
+// Función para saber si un error suelto viene de Puppeteer o de Chromium
+function isBrowserError(error) {
+  if (!(error instanceof Error)) {
+    return false;
+  }
+  
+  return error instanceof puppeteer.ProtocolError ||
+    error instanceof puppeteer.TargetCloseError ||
+    error instanceof puppeteer.TimeoutError ||
+    /[\\/]node_modules[\\/](puppeteer|puppeteer-core)[\\/]/.test(error.stack || '');
+}
+
+// Un error suelto de una página de Chromium no debe tumbar el servicio: se
+// registra y el supervisor del browser se encarga de recuperarlo. Cualquier
+// otro es un fallo de programación: se cierra el proceso para que la política
+// de reinicio del contenedor lo levante en un estado conocido.
 process.on('uncaughtException', (error) => {
   console.error('❌ Excepción no capturada:', error);
-  cleanup();
+  if (!isBrowserError(error)) {
+    cleanup(1);
+  }
 });
 process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Promesa rechazada no manejada:', reason);
-  cleanup();
+  if (!isBrowserError(reason)) {
+    cleanup(1);
+  }
 });
 
+// Cargar plantillas antes de aceptar peticiones
+try {
+  loadTemplates();
+} catch (error) {
+  console.error('❌ Error cargando plantillas:', error.message);
+  process.exit(1);
+}
+
 // Iniciar servidor
 app.listen(PORT, () => {
   console.log(`🚀 Skytide Image Generator iniciado en puerto ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🖼️ Endpoint principal: POST http://localhost:${PORT}/generate-image`);
+  
+  retentionJob.start();
 }); 
\ No newline at end of file
@@ -0,0 +1,168 @@
+// Plantilla de tarjeta de confirmación de cita: una sola cita con cliente,
+// servicio, profesional, fecha y hora. Pensada para enviarse por chat.
+
+const { localeSchema, timeFormatSchema, getLocaleSettings, formatLongDate, formatMinutes } = require('../lib/i18n');
+const { html } = require('../lib/html');
+const { dateSchema } = require('../lib/agenda');
+
+function generateAppointmentCardHTML(organization, appointment, { locale, timeFormat } = {}) {
+  const settings = getLocaleSettings(locale, timeFormat);
+  const labels = settings.messages.card;
+
+  // Función para mostrar una hora HH:MM en el formato del idioma
+  const formatTime = (timeString) => {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return formatMinutes(hours * 60 + minutes, settings);
+  };
+
+  return html`
+    <!DOCTYPE html>
+    <html lang="${settings.language}">
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #f8fafc;
+          padding: 40px;
+          line-height: 1.4;
+        }
+
+        .card {
+          max-width: 720px;
+          margin: 0 auto;
+          background: white;
+          border-radius: 16px;
+          overflow: hidden;
+          box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+        }
+
+        .card-header {
+          background: #000000;
+          color: white;
+          padding: 28px 32px;
+        }
+
+        .card-header h1 {
+          font-size: 34px;
+          font-weight: 700;
+          margin-bottom: 4px;
+        }
+
+        .card-header h2 {
+          font-size: 20px;
+          font-weight: 500;
+          opacity: 0.8;
+        }
+
+        .card-body {
+          padding: 32px;
+        }
+
+        .card-row {
+          display: flex;
+          justify-content: space-between;
+          padding: 14px 0;
+          border-bottom: 1px solid #e2e8f0;
+          font-size: 20px;
+        }
+
+        .card-row:last-child {
+          border-bottom: none;
+        }
+
+        .card-label {
+          color: #64748b;
+          font-weight: 500;
+        }
+
+        .card-value {
+          color: #1e293b;
+          font-weight: 600;
+          text-align: right;
+        }
+
+        .card-date {
+          text-transform: capitalize;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        <div class="card-header">
+          <h1>${labels.title}</h1>
+          <h2>${organization.name}</h2>
+        </div>
+        <div class="card-body">
+          <div class="card-row">
+            <span class="card-label">${labels.client}</span>
+            <span class="card-value">${appointment.client}</span>
+          </div>
+          <div class="card-row">
+            <span class="card-label">${labels.service}</span>
+            <span class="card-value">${appointment.service}</span>
+          </div>
+          ${appointment.member && html`
+          <div class="card-row">
+            <span class="card-label">${labels.member}</span>
+            <span class="card-value">${appointment.member}</span>
+          </div>
+          `}
+          <div class="card-row">
+            <span class="card-label">${labels.date}</span>
+            <span class="card-value card-date">${formatLongDate(appointment.date, settings)}</span>
+          </div>
+          <div class="card-row">
+            <span class="card-label">${labels.time}</span>
+            <span class="card-value">${formatTime(appointment.start_time)}${appointment.end_time && ` - ${formatTime(appointment.end_time)}`}</span>
+          </div>
+        </div>
+      </div>
+    </body>
+    </html>
+  `.toString();
+}
+
+module.exports = {
+  name: 'appointment-card',
+  version: 1,
+  description: 'Tarjeta de confirmación para una cita individual',
+  schema: {
+    type: 'object',
+    required: ['organization', 'appointment'],
+    properties: {
+      organization: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: { type: ['string', 'number'] },
+          name: { type: 'string' }
+        }
+      },
+      locale: localeSchema,
+      timeFormat: timeFormatSchema,
+      appointment: {
+        type: 'object',
+        required: ['date', 'start_time', 'client', 'service'],
+        properties: {
+          date: dateSchema,
+          start_time: { type: 'string', pattern: '^\\d{1,2}:\\d{2}' },
+          end_time: { type: 'string', pattern: '^\\d{1,2}:\\d{2}' },
+          client: { type: 'string' },
+          service: { type: 'string' },
+          member: { type: 'string' }
+        }
+      }
+    }
+  },
+  render: (data) => generateAppointmentCardHTML(data.organization, data.appointment, {
+    locale: data.locale,
+    timeFormat: data.timeFormat
+  })
+};
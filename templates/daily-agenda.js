@@ -0,0 +1,160 @@
+// Plantilla de agenda diaria: cuadrícula de horas con una columna por miembro,
+// citas superpuestas lado a lado y leyenda de estados.
+//
+// `memberGroups` puede ser un objeto indexado por miembro (como lo arma la
+// función de Netlify) o un array de `{ member, appointments }`. Los colores,
+// la fuente, el logo y los textos salen de `organization.theme`; el idioma y
+// el reloj de 12/24 horas, de `locale` y `timeFormat`.
+
+const { localeSchema, timeFormatSchema, getLocaleSettings, formatLongDate, formatMinutes } = require('../lib/i18n');
+const { html, css } = require('../lib/html');
+const {
+  mergeThemes,
+  normalizeMembers,
+  layoutAppointments,
+  resolveAgendaStyle,
+  dateSchema,
+  themeSchema,
+  organizationSchema,
+  memberGroupSchema
+} = require('../lib/agenda');
+const {
+  agendaDocument,
+  agendaHeader,
+  statusStyles,
+  legendStyles,
+  agendaLegend,
+  computeTimeGrid,
+  calendarStyles,
+  timeColumn,
+  calendarColumn
+} = require('../lib/agenda-html');
+
+// Función para construir la agenda: devuelve el HTML y los avisos de normalización
+function buildAgenda(organization, memberGroups, date, { locale, timeFormat } = {}) {
+  const settings = getLocaleSettings(locale, timeFormat);
+  const { messages } = settings;
+  const { theme, appointmentStates, logo } = resolveAgendaStyle(organization, messages);
+
+  // Normalizar antes de maquetar: las filas inválidas se omiten con un aviso
+  const { members, warnings } = normalizeMembers(memberGroups, messages);
+
+  // Calcular horario automático basado en las citas del día
+  const grid = computeTimeGrid(members.flatMap(member => member.appointments));
+
+  // La cabecera, la cuadrícula y la leyenda son comunes; aquí solo las
+  // columnas por miembro y el texto de cada cita
+  const agendaHtml = agendaDocument({
+    settings,
+    theme,
+    styles: html`
+      .header h2 {
+        text-transform: capitalize;
+      }
+
+      ${calendarStyles({ theme, columns: members.length })}
+
+      .member-header {
+        background: ${css(theme.primaryColor)};
+        color: ${css(theme.primaryTextColor)};
+        font-weight: 600;
+        text-align: center;
+        font-size: 21px;
+        padding: 16px 12px;
+        border-right: 1px solid #cbd5e1;
+      }
+
+      .appointment {
+        padding: 6px 8px;
+        font-size: 14px;
+      }
+
+      .appointment-client {
+        font-weight: 600;
+        margin-bottom: 2px;
+        font-size: 16px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .appointment-service {
+        font-size: 13px;
+        opacity: 0.9;
+        margin-bottom: 2px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .appointment-time {
+        font-size: 12px;
+        opacity: 0.7;
+        font-weight: 500;
+      }
+
+      ${legendStyles}
+      ${statusStyles(appointmentStates, { filled: ['.appointment', '.legend-dot'] })}
+    `,
+    body: html`
+      ${agendaHeader({
+        logo,
+        title: theme.headerText || messages.agendaTitle,
+        organization,
+        subtitle: formatLongDate(date, settings)
+      })}
+
+      <div class="calendar-container">
+        <div class="calendar-header">
+          <div class="time-header">${messages.timeColumn}</div>
+          ${members.map(member => html`<div class="member-header">${member.name}</div>`)}
+        </div>
+
+        <div class="calendar-body">
+          ${timeColumn(grid, settings)}
+
+          <!-- Member columns -->
+          ${members.map(member => calendarColumn(grid, layoutAppointments(member.appointments), {
+            renderAppointment: appointment => html`
+              <div class="appointment-client">${appointment.client}</div>
+              <div class="appointment-service">${appointment.service}</div>
+              <div class="appointment-time">${formatMinutes(appointment.startMinutes, settings)} - ${formatMinutes(appointment.endMinutes, settings)}</div>
+            `
+          }))}
+        </div>
+      </div>
+
+      ${agendaLegend(appointmentStates)}
+    `
+  });
+
+  return { html: agendaHtml.toString(), warnings };
+}
+
+module.exports = {
+  name: 'daily-agenda',
+  version: 1,
+  description: 'Agenda diaria con una columna por miembro y leyenda de estados',
+  schema: {
+    type: 'object',
+    required: ['organization', 'date', 'members'],
+    properties: {
+      organization: organizationSchema,
+      date: dateSchema,
+      locale: localeSchema,
+      timeFormat: timeFormatSchema,
+      members: {
+        type: ['array', 'object'],
+        items: memberGroupSchema,
+        additionalProperties: memberGroupSchema
+      }
+    }
+  },
+  // Los temas guardados con PUT /themes/:organizationId se aplican a esta plantilla
+  themeSchema,
+  mergeThemes,
+  render: (data) => buildAgenda(data.organization, data.members, data.date, {
+    locale: data.locale,
+    timeFormat: data.timeFormat
+  })
+};
@@ -0,0 +1,243 @@
+// Plantilla de agenda por profesional: las citas de un solo miembro en una
+// lista de una columna, con el teléfono del cliente y las notas de cada cita.
+//
+// Pensada para enviarse al propio profesional. Recibe un solo `member`
+// (`{ member, appointments }`, como cada grupo de la agenda diaria) y cubre
+// `days` días desde `startDate`; con un solo día las citas sin
+// `appointment_date` se dan por de ese día.
+
+const {
+  localeSchema,
+  timeFormatSchema,
+  getLocaleSettings,
+  formatLongDate,
+  formatDateRange,
+  formatMinutes
+} = require('../lib/i18n');
+const { html, css } = require('../lib/html');
+const {
+  mergeThemes,
+  normalizeMember,
+  timeToMinutes,
+  resolveAgendaStyle,
+  addDays,
+  dateSchema,
+  themeSchema,
+  organizationSchema,
+  memberGroupSchema
+} = require('../lib/agenda');
+const { agendaDocument, agendaHeader, statusStyles } = require('../lib/agenda-html');
+
+const DEFAULT_DAYS = 1;
+const MAX_DAYS = 14;
+
+// Función para construir la agenda: devuelve el HTML y los avisos de normalización
+function buildMemberAgenda(organization, memberGroup, startDate, { days = DEFAULT_DAYS, locale, timeFormat } = {}) {
+  const settings = getLocaleSettings(locale, timeFormat);
+  const { messages } = settings;
+  const { theme, appointmentStates, logo } = resolveAgendaStyle(organization, messages);
+  const dates = Array.from({ length: days }, (_, index) => addDays(startDate, index));
+
+  // Normalizar antes de maquetar: las filas inválidas se omiten con un aviso
+  const { member, warnings } = normalizeMember(memberGroup, messages, 'member');
+
+  // Repartir las citas por día en orden de hora; las que no caen en el rango se omiten
+  const appointmentsByDate = new Map(dates.map(date => [date, []]));
+  member.appointments.forEach(appointment => {
+    const date = appointment.appointment_date || (days === 1 ? startDate : null);
+    const dayAppointments = appointmentsByDate.get(date);
+
+    if (!dayAppointments) {
+      warnings.push({
+        path: `${appointment.path}.appointment_date`,
+        message: `fecha fuera del rango ${dates[0]} – ${dates[dates.length - 1]} (${JSON.stringify(appointment.appointment_date)}): se omite la cita`
+      });
+      return;
+    }
+
+    dayAppointments.push({
+      ...appointment,
+      startMinutes: timeToMinutes(appointment.start_time),
+      endMinutes: timeToMinutes(appointment.end_time)
+    });
+  });
+  appointmentsByDate.forEach(dayAppointments => {
+    dayAppointments.sort((a, b) => a.startMinutes - b.startMinutes || a.endMinutes - b.endMinutes);
+  });
+
+  // La cabecera y los colores por estado son comunes; aquí solo la lista de citas
+  const agendaHtml = agendaDocument({
+    settings,
+    theme,
+    styles: html`
+      .member-name {
+        display: inline-block;
+        margin-top: 12px;
+        padding: 6px 18px;
+        border-radius: 999px;
+        background: ${css(theme.primaryColor)};
+        color: ${css(theme.primaryTextColor)};
+        font-size: 22px;
+        font-weight: 600;
+      }
+
+      .day {
+        margin-bottom: 20px;
+      }
+
+      .day-header {
+        color: ${css(theme.accentColor)};
+        font-size: 22px;
+        font-weight: 600;
+        margin: 0 4px 10px;
+      }
+
+      .day-empty {
+        background: white;
+        border-radius: 10px;
+        padding: 18px;
+        text-align: center;
+        color: #94a3b8;
+        font-size: 18px;
+      }
+
+      .appointment {
+        display: flex;
+        background: white;
+        border-radius: 10px;
+        border-left: 8px solid;
+        box-shadow: 0 2px 6px rgba(0,0,0,0.08);
+        margin-bottom: 12px;
+        overflow: hidden;
+      }
+
+      .appointment-time {
+        flex: 0 0 140px;
+        padding: 16px 12px;
+        background: #f1f5f9;
+        text-align: center;
+        color: #334155;
+      }
+
+      .appointment-start {
+        font-size: 24px;
+        font-weight: 700;
+      }
+
+      .appointment-end {
+        font-size: 15px;
+        color: #64748b;
+      }
+
+      .appointment-details {
+        flex: 1;
+        padding: 14px 18px;
+        min-width: 0;
+      }
+
+      .appointment-top {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        gap: 12px;
+      }
+
+      .appointment-client {
+        font-size: 22px;
+        font-weight: 600;
+        color: #0f172a;
+      }
+
+      .appointment-status {
+        flex-shrink: 0;
+        padding: 3px 10px;
+        border-radius: 6px;
+        border: 1px solid;
+        font-size: 14px;
+        font-weight: 600;
+      }
+
+      .appointment-service,
+      .appointment-phone {
+        font-size: 18px;
+        color: #334155;
+        margin-top: 4px;
+      }
+
+      .appointment-notes {
+        margin-top: 8px;
+        padding: 8px 12px;
+        background: #fefce8;
+        border-radius: 6px;
+        font-size: 16px;
+        color: #713f12;
+        white-space: pre-line;
+        overflow-wrap: anywhere;
+      }
+
+      ${statusStyles(appointmentStates, { filled: ['.appointment-status'], bordered: ['.appointment'] })}
+    `,
+    body: html`
+      ${agendaHeader({
+        logo,
+        title: theme.headerText || (days === 1 ? messages.agendaTitle : messages.multiDayTitle),
+        organization,
+        subtitle: days === 1 ? formatLongDate(startDate, settings) : formatDateRange(dates[0], dates[dates.length - 1], settings),
+        extra: html`<div class="member-name">${member.name}</div>`
+      })}
+
+      ${dates.map(date => html`
+        <div class="day">
+          ${days > 1 && html`<div class="day-header">${formatLongDate(date, settings)}</div>`}
+          ${appointmentsByDate.get(date).length === 0
+            ? html`<div class="day-empty">${messages.noAppointments}</div>`
+            : appointmentsByDate.get(date).map(appointment => html`
+              <div class="appointment ${appointment.status}">
+                <div class="appointment-time">
+                  <div class="appointment-start">${formatMinutes(appointment.startMinutes, settings)}</div>
+                  <div class="appointment-end">${formatMinutes(appointment.endMinutes, settings)}</div>
+                </div>
+                <div class="appointment-details">
+                  <div class="appointment-top">
+                    <div class="appointment-client">${appointment.client}</div>
+                    <div class="appointment-status ${appointment.status}">${appointmentStates[appointment.status].label}</div>
+                  </div>
+                  <div class="appointment-service">${appointment.service}</div>
+                  ${appointment.client_phone && html`<div class="appointment-phone">📞 ${appointment.client_phone}</div>`}
+                  ${appointment.notes && html`<div class="appointment-notes">📝 ${appointment.notes}</div>`}
+                </div>
+              </div>
+            `)}
+        </div>
+      `)}
+    `
+  });
+
+  return { html: agendaHtml.toString(), warnings };
+}
+
+module.exports = {
+  name: 'member-agenda',
+  version: 1,
+  description: 'Agenda de un profesional en una columna, con teléfono del cliente y notas',
+  schema: {
+    type: 'object',
+    required: ['organization', 'startDate', 'member'],
+    properties: {
+      organization: organizationSchema,
+      startDate: dateSchema,
+      days: { type: 'integer', minimum: 1, maximum: MAX_DAYS },
+      locale: localeSchema,
+      timeFormat: timeFormatSchema,
+      member: memberGroupSchema
+    }
+  },
+  // Los temas guardados con PUT /themes/:organizationId se aplican a esta plantilla
+  themeSchema,
+  mergeThemes,
+  render: (data) => buildMemberAgenda(data.organization, data.member, data.startDate, {
+    days: data.days,
+    locale: data.locale,
+    timeFormat: data.timeFormat
+  })
+};
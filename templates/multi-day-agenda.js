@@ -0,0 +1,222 @@
+// Plantilla de agenda de varios días (p. ej. la semana siguiente): cuadrícula
+// de horas con una columna por día y leyenda de estados.
+//
+// Recibe los mismos `members` que la agenda diaria, con `appointment_date` en
+// cada cita, y dibuja `days` días desde `startDate`. Con `memberIds` solo se
+// muestran esos miembros; con uno solo sale una página por profesional.
+
+const {
+  localeSchema,
+  timeFormatSchema,
+  getLocaleSettings,
+  formatDateRange,
+  formatWeekday,
+  formatMinutes
+} = require('../lib/i18n');
+const { html, css } = require('../lib/html');
+const {
+  mergeThemes,
+  normalizeMembers,
+  layoutAppointments,
+  resolveAgendaStyle,
+  addDays,
+  dateSchema,
+  themeSchema,
+  organizationSchema,
+  memberGroupSchema
+} = require('../lib/agenda');
+const {
+  agendaDocument,
+  agendaHeader,
+  statusStyles,
+  legendStyles,
+  agendaLegend,
+  computeTimeGrid,
+  calendarStyles,
+  timeColumn,
+  calendarColumn
+} = require('../lib/agenda-html');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 14;
+
+// Función para construir la agenda: devuelve el HTML y los avisos de normalización
+function buildMultiDayAgenda(organization, memberGroups, startDate, { days = DEFAULT_DAYS, memberIds, locale, timeFormat } = {}) {
+  const settings = getLocaleSettings(locale, timeFormat);
+  const { messages } = settings;
+  const { theme, appointmentStates, logo } = resolveAgendaStyle(organization, messages);
+  const dates = Array.from({ length: days }, (_, index) => addDays(startDate, index));
+
+  // Normalizar antes de maquetar: las filas inválidas se omiten con un aviso
+  const { members: allMembers, warnings } = normalizeMembers(memberGroups, messages);
+  const members = memberIds
+    ? allMembers.filter(member => memberIds.map(String).includes(String(member.id)))
+    : allMembers;
+
+  // Repartir las citas por día; las que no caen en el rango se omiten
+  const appointmentsByDate = new Map(dates.map(date => [date, []]));
+  members.forEach(member => {
+    member.appointments.forEach(appointment => {
+      const dayAppointments = appointmentsByDate.get(appointment.appointment_date);
+
+      if (!dayAppointments) {
+        warnings.push({
+          path: `${appointment.path}.appointment_date`,
+          message: `fecha fuera del rango ${dates[0]} – ${dates[dates.length - 1]} (${JSON.stringify(appointment.appointment_date)}): se omite la cita`
+        });
+        return;
+      }
+
+      dayAppointments.push({ ...appointment, member: member.name });
+    });
+  });
+
+  const grid = computeTimeGrid([...appointmentsByDate.values()].flat());
+  // Con un solo miembro su nombre va en la cabecera y no en cada cita
+  const showMemberNames = members.length > 1;
+
+  // La cabecera, la cuadrícula y la leyenda son comunes; aquí solo las
+  // columnas por día y el texto de cada cita
+  const agendaHtml = agendaDocument({
+    settings,
+    theme,
+    styles: html`
+      .header h3 {
+        color: ${css(theme.accentColor)};
+        font-size: 21px;
+        font-weight: 600;
+        margin-top: 6px;
+      }
+
+      ${calendarStyles({ theme, columns: dates.length, timeColumnWidth: 90 })}
+
+      .day-header {
+        background: ${css(theme.primaryColor)};
+        color: ${css(theme.primaryTextColor)};
+        text-align: center;
+        padding: 10px 8px;
+        border-right: 1px solid #cbd5e1;
+      }
+
+      .day-weekday {
+        font-size: 15px;
+        font-weight: 500;
+        text-transform: capitalize;
+        opacity: 0.85;
+      }
+
+      .day-number {
+        font-size: 24px;
+        font-weight: 700;
+      }
+
+      .appointment {
+        padding: 4px 6px;
+        font-size: 12px;
+      }
+
+      .appointment-client {
+        font-weight: 600;
+        font-size: 14px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .appointment-service,
+      .appointment-member {
+        font-size: 12px;
+        opacity: 0.9;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .appointment-time {
+        font-size: 11px;
+        opacity: 0.7;
+        font-weight: 500;
+      }
+
+      ${legendStyles}
+      ${statusStyles(appointmentStates, { filled: ['.appointment', '.legend-dot'] })}
+    `,
+    body: html`
+      ${agendaHeader({
+        logo,
+        title: theme.headerText || messages.multiDayTitle,
+        organization,
+        subtitle: formatDateRange(dates[0], dates[dates.length - 1], settings),
+        extra: members.length === 1 && html`<h3>${members[0].name}</h3>`
+      })}
+
+      <div class="calendar-container">
+        <div class="calendar-header">
+          <div class="time-header">${messages.timeColumn}</div>
+          ${dates.map(date => html`
+            <div class="day-header">
+              <div class="day-weekday">${formatWeekday(date, settings)}</div>
+              <div class="day-number">${Number(date.slice(8, 10))}</div>
+            </div>
+          `)}
+        </div>
+
+        <div class="calendar-body">
+          ${timeColumn(grid, settings)}
+
+          <!-- Day columns -->
+          ${dates.map(date => calendarColumn(grid, layoutAppointments(appointmentsByDate.get(date)), {
+            edgeGap: 3,
+            renderAppointment: appointment => html`
+              <div class="appointment-client">${appointment.client}</div>
+              <div class="appointment-service">${appointment.service}</div>
+              ${showMemberNames && html`<div class="appointment-member">${appointment.member}</div>`}
+              <div class="appointment-time">${formatMinutes(appointment.startMinutes, settings)} - ${formatMinutes(appointment.endMinutes, settings)}</div>
+            `
+          }))}
+        </div>
+      </div>
+
+      ${agendaLegend(appointmentStates)}
+    `
+  });
+
+  return { html: agendaHtml.toString(), warnings };
+}
+
+module.exports = {
+  name: 'multi-day-agenda',
+  version: 1,
+  description: 'Agenda de varios días (hasta dos semanas) con una columna por día',
+  schema: {
+    type: 'object',
+    required: ['organization', 'startDate', 'members'],
+    properties: {
+      organization: organizationSchema,
+      startDate: dateSchema,
+      days: { type: 'integer', minimum: 1, maximum: MAX_DAYS },
+      memberIds: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        items: { type: ['string', 'number'] }
+      },
+      locale: localeSchema,
+      timeFormat: timeFormatSchema,
+      members: {
+        type: ['array', 'object'],
+        items: memberGroupSchema,
+        additionalProperties: memberGroupSchema
+      }
+    }
+  },
+  // Los temas guardados con PUT /themes/:organizationId se aplican a esta plantilla
+  themeSchema,
+  mergeThemes,
+  render: (data) => buildMultiDayAgenda(data.organization, data.members, data.startDate, {
+    days: data.days,
+    memberIds: data.memberIds,
+    locale: data.locale,
+    timeFormat: data.timeFormat
+  })
+};
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, css, escapeHtml, isSafeHtml } = require('../lib/html');
+
+test('html escapa los valores interpolados', () => {
+  const output = html`<p title="${'"><script>alert(1)</script>'}">${'<img src=x onerror=alert(1)>'} ${'A & B'}</p>`.toString();
+
+  assert.equal(
+    output,
+    '<p title="&quot;&gt;&lt;script&gt;alert&#40;1&#41;&lt;/script&gt;">&lt;img src=x onerror=alert&#40;1&#41;&gt; A &amp; B</p>'
+  );
+});
+
+test('html no pinta null, undefined ni false y concatena arrays', () => {
+  const output = html`<ul>${['a', '<b>'].map(item => html`<li>${item}</li>`)}${null}${undefined}${false}</ul>`.toString();
+
+  assert.equal(output, '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+});
+
+test('html no vuelve a escapar el resultado de otro html', () => {
+  const inner = html`<b>${'A & B'}</b>`;
+
+  assert.ok(isSafeHtml(inner));
+  assert.equal(html`<p>${inner}</p>`.toString(), '<p><b>A &amp; B</b></p>');
+});
+
+test('raw inserta HTML sin escapar', () => {
+  assert.equal(html`<div>${raw('<hr>')}</div>`.toString(), '<div><hr></div>');
+});
+
+test('escapeHtml escapa paréntesis para que el texto no forme url(...)', () => {
+  assert.equal(escapeHtml('url(asset://otro/x.png)'), 'url&#40;asset://otro/x.png&#41;');
+});
+
+test('css elimina lo que podría cerrar la regla o el bloque', () => {
+  assert.equal(css('red;} body{background:url(x)}').toString(), 'red bodybackground:url(x)');
+  assert.equal(css('</style><script>alert(1)</script>').toString(), '/stylescriptalert(1)/script');
+  assert.equal(css('a\\62 c\nd\re').toString(), 'a62 cde');
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml } = require('../lib/html');
+const { validate } = require('../lib/validation');
+const dailyAgenda = require('../templates/daily-agenda');
+const multiDayAgenda = require('../templates/multi-day-agenda');
+const memberAgenda = require('../templates/member-agenda');
+const appointmentCard = require('../templates/appointment-card');
+
+// Nombres que romperían el HTML si se interpolaran sin escapar
+const HOSTILE_NAMES = [
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(1)</script>',
+  'A & B'
+];
+
+// Función para renderizar una plantilla validando antes sus datos, como el servidor
+function render(template, data) {
+  assert.deepEqual(validate(template.schema, data, 'data'), []);
+
+  const rendered = template.render(data);
+  return typeof rendered === 'string' ? rendered : rendered.html;
+}
+
+// Función para comprobar que un nombre solo aparece escapado
+function assertOnlyEscaped(output, name) {
+  assert.ok(!output.includes(name), `sin escapar: ${name}`);
+  assert.ok(output.includes(escapeHtml(name)), `no aparece escapado: ${name}`);
+}
+
+// El texto escapado puede contener "onerror=", pero nunca la etiqueta que lo ejecuta
+function assertNoInjectedMarkup(output) {
+  assert.doesNotMatch(output, /<script/i);
+  assert.doesNotMatch(output, /<img src=x/i);
+}
+
+function hostileGroup(name) {
+  return {
+    member: { id: 'm-1', first_name: name, last_name: name },
+    appointments: [
+      {
+        appointment_date: '2024-01-15',
+        start_time: '09:00',
+        end_time: '09:45',
+        status: 'confirmada',
+        notes: name,
+        contacts: { first_name: name, last_name: 'Gómez', phone: name, country_code: '+57' },
+        services: { name, duration_minutes: 45 }
+      }
+    ]
+  };
+}
+
+function hostileOrganization(name) {
+  return {
+    id: 'org-1',
+    name,
+    theme: {
+      headerText: `${name} {organization}`,
+      statusColors: { confirmada: { label: name } }
+    }
+  };
+}
+
+for (const name of HOSTILE_NAMES) {
+  test(`daily-agenda escapa ${JSON.stringify(name)}`, () => {
+    const output = render(dailyAgenda, {
+      organization: hostileOrganization(name),
+      date: '2024-01-15',
+      members: [hostileGroup(name)]
+    });
+
+    assertOnlyEscaped(output, name);
+    assertNoInjectedMarkup(output);
+  });
+
+  test(`multi-day-agenda escapa ${JSON.stringify(name)}`, () => {
+    const output = render(multiDayAgenda, {
+      organization: hostileOrganization(name),
+      startDate: '2024-01-15',
+      days: 3,
+      members: [hostileGroup(name), { ...hostileGroup(name), member: { id: 'm-2', first_name: name } }]
+    });
+
+    assertOnlyEscaped(output, name);
+    assertNoInjectedMarkup(output);
+  });
+
+  test(`member-agenda escapa ${JSON.stringify(name)}`, () => {
+    const output = render(memberAgenda, {
+      organization: hostileOrganization(name),
+      startDate: '2024-01-15',
+      member: hostileGroup(name)
+    });
+
+    assertOnlyEscaped(output, name);
+    assertNoInjectedMarkup(output);
+  });
+
+  test(`appointment-card escapa ${JSON.stringify(name)}`, () => {
+    const output = render(appointmentCard, {
+      organization: { id: 'org-1', name },
+      appointment: {
+        date: '2024-01-15',
+        start_time: '09:00',
+        end_time: '09:45',
+        client: name,
+        service: name,
+        member: name
+      }
+    });
+
+    assertOnlyEscaped(output, name);
+    assertNoInjectedMarkup(output);
+  });
+}
+
+test('un valor de tema que intenta cerrar <style> no inyecta HTML', () => {
+  // Sin pasar por el schema, que ya rechaza estos colores
+  const { html } = dailyAgenda.render({
+    organization: {
+      name: 'Salón',
+      theme: { primaryColor: 'red;}</style><script>alert(1)</script>', fontFamily: 'x;} body{display:none' }
+    },
+    date: '2024-01-15',
+    members: [hostileGroup('Ana')]
+  });
+
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /<\/style><script/i);
+  assert.doesNotMatch(html, /body\{display:none/);
+});
+
+test('las notas con asset:// se muestran como texto', () => {
+  const output = render(memberAgenda, {
+    organization: { name: 'Salón' },
+    startDate: '2024-01-15',
+    member: {
+      member: { id: 'm-1', first_name: 'Ana' },
+      appointments: [{ start_time: '09:00', notes: 'Trae la foto url(asset://otro/ref.png)' }]
+    }
+  });
+
+  assert.ok(output.includes('Trae la foto url&#40;asset://otro/ref.png&#41;'));
+});
+
+test('organization.id no admite rutas ni comillas, porque forma parte del nombre de archivo', () => {
+  for (const id of ['/../../../render-assets/t2/logo', 'org"1', 'org\n1']) {
+    const errors = validate(dailyAgenda.schema, {
+      organization: { id, name: 'Salón' },
+      date: '2024-01-15',
+      members: []
+    }, 'data');
+
+    assert.deepEqual(errors.map(error => error.path), ['data.organization.id']);
+  }
+});
@@ -2,13 +2,94 @@ const { createClient } = require('@supabase/supabase-js');
 
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const imageGeneratorUrl = process.env.IMAGE_GENERATOR_URL;
+const imageGeneratorApiKey = process.env.IMAGE_GENERATOR_API_KEY;
+// Vigencia (segundos) de la URL firmada de cada agenda: las imágenes llevan
+// nombres de clientes, así que se guardan en el bucket privado del servicio
+const agendaImageUrlTtl = parseInt(process.env.AGENDA_IMAGE_URL_TTL, 10) || 86400;
+// Imágenes por llamada a /generate-images/batch; no debe superar MAX_BATCH_ITEMS del servicio
+const agendaBatchSize = parseInt(process.env.AGENDA_BATCH_SIZE, 10) || 100;
 
 if (!supabaseUrl || !supabaseServiceKey) {
   throw new Error('Missing Supabase environment variables');
 }
 
+if (!imageGeneratorUrl || !imageGeneratorApiKey) {
+  throw new Error('Missing IMAGE_GENERATOR_URL or IMAGE_GENERATOR_API_KEY environment variable');
+}
+
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
+// Días que cubre la agenda según `agenda_range` de la configuración (por defecto today)
+const AGENDA_RANGES = {
+  today: { offset: 0, days: 1 },
+  tomorrow: { offset: 1, days: 1 },
+  next_7_days: { offset: 0, days: 7 }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Función para obtener la fecha (YYYY-MM-DD) y el día de la semana (0 = domingo)
+// en la timezone de la organización; si la timezone no es válida se usa UTC
+function getLocalDay(now, timezone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short'
+    }).formatToParts(now);
+    const part = type => parts.find(item => item.type === type).value;
+
+    return {
+      date: `${part('year')}-${part('month')}-${part('day')}`,
+      weekday: WEEKDAYS.indexOf(part('weekday'))
+    };
+  } catch (error) {
+    return { date: now.toISOString().split('T')[0], weekday: now.getUTCDay() };
+  }
+}
+
+// Función para sumar días a una fecha YYYY-MM-DD
+function addDays(dateString, offset) {
+  const date = new Date(dateString + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().split('T')[0];
+}
+
+// Función para resolver el rango de fechas de una configuración
+function getAgendaRange(config, now) {
+  const range = AGENDA_RANGES[config.agenda_range] ? config.agenda_range : 'today';
+  const { offset, days } = AGENDA_RANGES[range];
+  const startDate = addDays(getLocalDay(now, config.timezone).date, offset);
+
+  return { range, days, startDate, endDate: addDays(startDate, days - 1) };
+}
+
+// Función para saber si hoy toca enviar: `send_weekday` (0 = domingo … 6 = sábado)
+// limita el envío a un día de la semana, p. ej. la semana siguiente cada lunes
+function isSendWeekday(config, now) {
+  if (config.send_weekday === null || config.send_weekday === undefined) {
+    return true;
+  }
+
+  return getLocalDay(now, config.timezone).weekday === Number(config.send_weekday);
+}
+
+// Función para obtener a quién se envía la agenda de un profesional: el
+// teléfono de su perfil (null si no tiene, p. ej. las citas sin asignar)
+function getMemberRecipient(member, config) {
+  if (!member || !member.phone) {
+    return null;
+  }
+
+  return {
+    phone: `${member.country_code || config.country_code || '+57'}${member.phone}`,
+    name: [member.first_name, member.last_name].filter(Boolean).join(' ') || 'Profesional'
+  };
+}
+
 exports.handler = async (event, context) => {
   console.log('🚀 WhatsApp Agenda Notifications - Starting execution');
   
@@ -77,7 +158,7 @@ exports.handler = async (event, context) => {
         // Parsear hora configurada (formato HH:MM:SS)
         const [configHour, configMinute] = config.send_time.split(':').map(Number);
         
-        const shouldProcess = orgCurrentHour === configHour;
+        const shouldProcess = orgCurrentHour === configHour && isSendWeekday(config, now);
         console.log(`🕐 Org ${config.organization_id}: Local ${orgCurrentHour}:${orgCurrentMinute.toString().padStart(2, '0')} vs Config ${configHour}:${(configMinute || 0).toString().padStart(2, '0')} (${config.timezone}) - ${shouldProcess ? 'PROCESAR' : 'ESPERAR'}`);
         
         return shouldProcess;
@@ -87,7 +168,7 @@ exports.handler = async (event, context) => {
         // Fallback: usar offset manual para Colombia
         const orgCurrentHour = (now.getHours() - 5 + 24) % 24;
         const [configHour] = config.send_time.split(':').map(Number);
-        const shouldProcess = orgCurrentHour === configHour;
+        const shouldProcess = orgCurrentHour === configHour && isSendWeekday(config, now);
         console.log(`🕐 Org ${config.organization_id}: FALLBACK Local ${orgCurrentHour}:00 vs Config ${configHour}:00 - ${shouldProcess ? 'PROCESAR' : 'ESPERAR'}`);
                  return shouldProcess;
        }
@@ -102,15 +183,25 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Procesar cada configuración
+    // Los temas se piden aparte para que una base sin la columna `theme` siga enviando agendas
+    const themes = await fetchOrganizationThemes(configsToProcess.map(config => config.organizations.id));
+    for (const config of configsToProcess) {
+      config.organizations.theme = themes.get(config.organizations.id) || null;
+    }
+
+    // Procesar cada configuración: primero se reúnen los datos de todas las
+    // organizaciones y luego se generan todas las imágenes en un solo lote
     const results = [];
+    const agendas = [];
     
     for (const config of configsToProcess) {
       try {
         console.log(`🏢 Processing organization: ${config.organizations.name}`);
         
-        // Obtener citas del día actual para esta organización
-        const today = now.toISOString().split('T')[0]; // YYYY-MM-DD
+        // Obtener las citas del rango configurado (hoy, mañana o los próximos 7 días)
+        // según la fecha local de la organización
+        const agendaRange = getAgendaRange(config, now);
+        console.log(`🗓️ Range ${agendaRange.range}: ${agendaRange.startDate} → ${agendaRange.endDate}`);
         
         const { data: appointments, error: appointmentsError } = await supabase
           .from('appointments')
@@ -127,13 +218,18 @@ exports.handler = async (event, context) => {
               duration_minutes
             ),
             profiles!appointments_member_id_fkey (
+              id,
               first_name,
-              last_name
+              last_name,
+              phone,
+              country_code
             )
           `)
           .eq('organization_id', config.organization_id)
-          .eq('appointment_date', today)
+          .gte('appointment_date', agendaRange.startDate)
+          .lte('appointment_date', agendaRange.endDate)
           .neq('status', 'cancelada')
+          .order('appointment_date')
           .order('start_time');
 
         if (appointmentsError) {
@@ -141,10 +237,10 @@ exports.handler = async (event, context) => {
           continue;
         }
 
-        console.log(`📅 Found ${appointments?.length || 0} appointments for today`);
+        console.log(`📅 Found ${appointments?.length || 0} appointments for ${agendaRange.range}`);
 
         if (!appointments || appointments.length === 0) {
-          console.log(`📭 No appointments for ${config.organizations.name} today`);
+          console.log(`📭 No appointments for ${config.organizations.name} (${agendaRange.range})`);
           continue;
         }
 
@@ -154,91 +250,150 @@ exports.handler = async (event, context) => {
           const memberKey = appointment.member_id || 'sin-asignar';
           if (!memberGroups[memberKey]) {
             memberGroups[memberKey] = {
-              member: appointment.profiles || { first_name: 'Sin', last_name: 'Asignar' },
+              // Sin nombre, la plantilla lo muestra como "Sin asignar" en el idioma de la agenda
+              member: appointment.profiles || { id: 'sin-asignar' },
               appointments: []
             };
           }
           memberGroups[memberKey].appointments.push(appointment);
         });
 
-        // Generar URL de imagen con manejo de errores robusto
-        let imageUrl = null;
-        try {
-          console.log(`🖼️ Generating agenda image for ${config.organizations.name}...`);
-          imageUrl = await generateAgendaImage(config.organizations, memberGroups, today);
-          console.log(`✅ Image generated successfully: ${imageUrl}`);
-        } catch (imageError) {
-          console.error(`❌ Failed to generate image for ${config.organizations.name}:`, imageError.message);
+        const agenda = { config, appointments, memberGroups, range: agendaRange };
+
+        // La agenda de la organización va a recipient_phone; con per_member_agenda
+        // solo se envía si además hay recipient_phone configurado
+        if (!config.per_member_agenda || config.recipient_phone) {
+          agendas.push({
+            ...agenda,
+            recipient: {
+              phone: `${config.country_code || '+57'}${config.recipient_phone}`,
+              name: config.recipient_name || 'Destinatario'
+            }
+          });
+        }
+
+        // Una agenda por profesional, enviada al teléfono de su perfil
+        if (config.per_member_agenda) {
+          Object.values(memberGroups).forEach(memberGroup => {
+            const recipient = getMemberRecipient(memberGroup.member, config);
+
+            if (!recipient) {
+              console.log(`📵 No phone for member ${memberGroup.member.id} in ${config.organizations.name} - skipping member agenda`);
+              results.push({
+                organization: config.organizations.name,
+                member: memberGroup.member.id,
+                status: 'skipped',
+                error: 'Member has no phone',
+                appointments_count: memberGroup.appointments.length
+              });
+              return;
+            }
+
+            agendas.push({ ...agenda, memberGroup, recipient });
+          });
+        }
+
+      } catch (error) {
+        console.error(`❌ Error processing ${config.organizations.name}:`, error);
+        results.push({
+          organization: config.organizations.name,
+          status: 'error',
+          error: error.message
+        });
+      }
+    }
+
+    // Generar las imágenes de todas las organizaciones en una sola llamada
+    const images = await generateAgendaImages(agendas);
+
+    for (const [index, agenda] of agendas.entries()) {
+      const { config, memberGroup, range, recipient } = agenda;
+      // La agenda de un profesional solo lleva sus citas
+      const memberGroups = memberGroup ? { [memberGroup.member.id]: memberGroup } : agenda.memberGroups;
+      const appointments = memberGroup ? memberGroup.appointments : agenda.appointments;
+      const { imageUrl, imageExpiresAt, imageBucket, imagePath, warnings, error: imageError } = images[index];
+
+      try {
+        if (imageError) {
+          console.error(`❌ Failed to generate image for ${config.organizations.name}:`, imageError);
           console.error(`📊 Image error details:`, {
             organization: config.organizations.name,
             appointmentCount: appointments.length,
             memberCount: Object.keys(memberGroups).length,
-            error: imageError.message
+            error: imageError
           });
           // NO enviar webhook si falla la generación de imagen
           results.push({
             organization: config.organizations.name,
+            member: memberGroup ? memberGroup.member.id : undefined,
             success: false,
-            error: `Image generation failed: ${imageError.message}`,
+            error: `Image generation failed: ${imageError}`,
             appointments_count: appointments.length
           });
           continue; // Saltar al siguiente config
         }
 
-        // Solo enviar webhook si se generó la imagen exitosamente
-        if (imageUrl) {
-          // Preparar payload para webhook
-          const payload = {
-            event_type: 'daily_agenda',
-            organization: config.organizations,
-            agenda_date: today,
-            image_url: imageUrl,
-            recipient_phone: `${config.country_code || '+57'}${config.recipient_phone}`,
-            recipient_name: config.recipient_name || 'Destinatario',
-            members_with_appointments: Object.values(memberGroups).map(group => ({
-              member: group.member,
-              appointment_count: group.appointments.length
-            })),
-            total_appointments: appointments.length
-          };
-
-          // Enviar webhook
-          const webhookUrl = 'https://auto.skytide.agency/webhook/daily_agenda';
-          
-          console.log(`📤 Sending webhook to: ${webhookUrl}`);
-          console.log(`📱 Recipient: ${payload.recipient_phone} (${payload.recipient_name})`);
-          
-          const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(payload)
-          });
+        console.log(`✅ Image generated successfully: ${imageUrl}`);
 
-          if (!response.ok) {
-            console.error(`⚠️ Webhook failed: ${response.status} ${response.statusText}`);
-            console.log(`📋 Payload was: ${JSON.stringify(payload, null, 2)}`);
-            // No lanzar error, solo logear - el webhook puede no estar configurado aún
-          } else {
-            console.log(`✅ Webhook sent successfully for ${config.organizations.name}`);
-          }
-          
-          results.push({
-            organization: config.organizations.name,
-            status: 'success',
-            appointments_count: appointments.length,
-            recipient: payload.recipient_phone
-          });
+        // Citas omitidas o corregidas por datos incompletos: la imagen se envía igual
+        if (warnings.length > 0) {
+          console.warn(`⚠️ ${warnings.length} data warnings for ${config.organizations.name}:`, warnings);
+        }
+
+        // Preparar payload para webhook
+        const payload = {
+          event_type: 'daily_agenda',
+          // organization: agenda de todos los miembros; member: la de un profesional
+          agenda_scope: memberGroup ? 'member' : 'organization',
+          organization: config.organizations,
+          agenda_date: range.startDate,
+          // today, tomorrow o next_7_days; agenda_end_date es el último día incluido
+          agenda_range: range.range,
+          agenda_end_date: range.endDate,
+          image_url: imageUrl,
+          image_expires_at: imageExpiresAt,
+          // Para pedir una URL nueva a POST /signed-urls si esta caduca
+          image_bucket: imageBucket,
+          image_path: imagePath,
+          recipient_phone: recipient.phone,
+          recipient_name: recipient.name,
+          members_with_appointments: Object.values(memberGroups).map(group => ({
+            member: group.member,
+            appointment_count: group.appointments.length
+          })),
+          total_appointments: appointments.length
+        };
+
+        // Enviar webhook
+        const webhookUrl = 'https://auto.skytide.agency/webhook/daily_agenda';
+        
+        console.log(`📤 Sending webhook to: ${webhookUrl}`);
+        console.log(`📱 Recipient: ${payload.recipient_phone} (${payload.recipient_name})`);
+        
+        const response = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+          console.error(`⚠️ Webhook failed: ${response.status} ${response.statusText}`);
+          console.log(`📋 Payload was: ${JSON.stringify(payload, null, 2)}`);
+          // No lanzar error, solo logear - el webhook puede no estar configurado aún
         } else {
-          console.log(`⏭️ Skipping webhook for ${config.organizations.name} - no image generated`);
-          results.push({
-            organization: config.organizations.name,
-            status: 'skipped',
-            reason: 'image_generation_failed',
-            appointments_count: appointments.length
-          });
+          console.log(`✅ Webhook sent successfully for ${config.organizations.name}`);
         }
+        
+        results.push({
+          organization: config.organizations.name,
+          member: memberGroup ? memberGroup.member.id : undefined,
+          status: 'success',
+          appointments_count: appointments.length,
+          recipient: payload.recipient_phone,
+          warnings
+        });
 
       } catch (error) {
         console.error(`❌ Error processing ${config.organizations.name}:`, error);
@@ -274,538 +429,118 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Función para generar imagen de agenda usando HTML → Imagen
-async function generateAgendaImage(organization, memberGroups, date) {
-  console.log(`🎨 Generating agenda image for ${organization.name} on ${date}`);
-  
-  try {
-    // Generar HTML de la agenda
-    const htmlContent = generateAgendaHTML(organization, memberGroups, date);
-    
-    // Convertir HTML a imagen usando Puppeteer
-    const imageBuffer = await htmlToImage(htmlContent);
-    
-    // Subir imagen a Supabase Storage
-    const fileName = `agenda-${organization.id}-${date}-${Date.now()}.png`;
-    const { data, error } = await supabase.storage
-      .from('agenda-images')
-      .upload(fileName, imageBuffer, {
-        contentType: 'image/png'
-      });
-    
-    if (error) {
-      console.error('❌ Error uploading image to Supabase:', error);
-      throw error;
-    }
-    
-    // Obtener URL pública
-    const { data: publicUrlData } = supabase.storage
-      .from('agenda-images')
-      .getPublicUrl(fileName);
-    
-    console.log(`🖼️ Image uploaded successfully: ${publicUrlData.publicUrl}`);
-    return publicUrlData.publicUrl;
-    
-  } catch (error) {
-    console.error('❌ Error generating agenda image:', error);
-    
-    // No generar fallback, retornar null para indicar fallo
-    return null;
+// Función para obtener el tema (columna opcional `organizations.theme`) de cada
+// organización. Si la consulta falla, p. ej. porque la columna no existe, las
+// agendas salen con el tema del generador
+async function fetchOrganizationThemes(organizationIds) {
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('id, theme')
+    .in('id', organizationIds);
+
+  if (error) {
+    console.warn('⚠️ Could not fetch organization themes, using the service defaults:', error.message);
+    return new Map();
   }
-}
 
-// Función para convertir HTML a imagen usando Puppeteer-Core + Chromium para Netlify
-async function htmlToImage(htmlContent) {
-  const { chromium: playwright } = require('playwright-core');
-  const chromium = require('@sparticuz/chromium').default;
-  
-  console.log('🚀 Launching Playwright + @sparticuz/chromium for Netlify Functions...');
-  console.log('📦 Using @sparticuz/chromium@137.0.1 + playwright-core@1.53.0 (COMPATIBLE VERSIONS)');
-  
-  // Configuración OPTIMIZADA para Netlify Functions con @sparticuz/chromium
-  // Esta combinación ofrece el mejor soporte para entornos serverless
-  
-  console.log('🔍 Getting Chromium executable path...');
-  const executablePath = await chromium.executablePath();
-  console.log(`✅ Chromium executable found at: ${executablePath}`);
-
-  const browser = await playwright.launch({
-    args: chromium.args,
-    executablePath: executablePath,
-    headless: true,
-  });
-  
-  try {
-    console.log('📄 Creating new page...');
-    const page = await browser.newPage();
-    
-    // Configurar viewport para imagen de alta calidad
-    console.log('🖥️ Setting viewport...');
-    await page.setViewportSize({ 
-      width: 800, 
-      height: 1200
-    });
-    
-    // Cargar HTML
-    console.log('📝 Loading HTML content...');
-    await page.setContent(htmlContent, {
-      waitUntil: 'networkidle',
-      timeout: 30000 // 30 segundos timeout
-    });
-    
-    console.log('📸 Taking screenshot...');
-    
-    // Generar screenshot
-    const imageBuffer = await page.screenshot({
-      type: 'png',
-      fullPage: true,
-      timeout: 30000 // 30 segundos timeout
-    });
-    
-    console.log(`✅ Screenshot generated successfully (${imageBuffer.length} bytes)`);
-    
-    return imageBuffer;
-    
-  } catch (error) {
-    console.error('❌ Error in htmlToImage:', error.message);
-    console.error('📊 Error details:', {
-      name: error.name,
-      message: error.message,
-      stack: error.stack?.split('\n').slice(0, 5).join('\n') // Primeras 5 líneas del stack
-    });
-    throw error;
-  } finally {
-    try {
-      await browser.close();
-      console.log('🔒 Playwright browser closed successfully');
-    } catch (closeError) {
-      console.error('⚠️ Error closing browser:', closeError.message);
-    }
-  }
+  return new Map(data.map(organization => [organization.id, organization.theme]));
 }
 
-// Función auxiliar para generar HTML de la agenda
-function generateAgendaHTML(organization, memberGroups, date) {
-  const formatDate = (dateStr) => {
-    const options = { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    };
-    return new Date(dateStr + 'T00:00:00').toLocaleDateString('es-ES', options);
-  };
+// Función para armar la organización de la plantilla: sin tema propio
+// (theme null) se usa el guardado en el generador o el de por defecto
+function toAgendaOrganization({ theme, ...organization }) {
+  return theme ? { ...organization, theme } : organization;
+}
 
-  // Función para convertir tiempo a minutos desde medianoche
-  const timeToMinutes = (timeString) => {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    return hours * 60 + minutes;
+// Función para armar el elemento del lote de una agenda: la de un profesional
+// usa la lista detallada con teléfonos y notas; la de la organización, la
+// agenda diaria (un día) o la de varios días (una columna por día)
+function toAgendaImageItem({ config, memberGroups, memberGroup, range }) {
+  const common = {
+    organization: toAgendaOrganization(config.organizations),
+    // Idioma (es, en, pt) y reloj (12h o 24h) de la configuración; sin ellos, español 24h
+    locale: config.locale || undefined,
+    timeFormat: config.time_format || undefined
   };
+  const rangeSuffix = `${range.startDate}${range.days > 1 ? `-${range.endDate}` : ''}`;
+  const storage = { private: true, expiresIn: agendaImageUrlTtl };
 
-  // Función para convertir minutos a formato HH:MM
-  const minutesToTime = (minutes) => {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-  };
+  if (memberGroup) {
+    return {
+      template: 'member-agenda',
+      data: { ...common, startDate: range.startDate, days: range.days, member: memberGroup },
+      filename: `agenda-${config.organizations.id}-${memberGroup.member.id}-${rangeSuffix}-${Date.now()}.png`,
+      storage
+    };
+  }
 
-  // Estados reales del sistema
-  const APPOINTMENT_STATES = {
-    'programada': { 
-      label: 'Programada', 
-      bgColor: '#f3f4f6', 
-      borderColor: '#9ca3af', 
-      textColor: '#374151' 
-    },
-    'confirmada': { 
-      label: 'Confirmada', 
-      bgColor: '#dcfce7', 
-      borderColor: '#16a34a', 
-      textColor: '#166534' 
-    },
-    'en_curso': { 
-      label: 'En curso', 
-      bgColor: '#e0e7ff', 
-      borderColor: '#6366f1', 
-      textColor: '#4338ca' 
-    },
-    'completada': { 
-      label: 'Completada', 
-      bgColor: '#dbeafe', 
-      borderColor: '#3b82f6', 
-      textColor: '#1e40af' 
-    },
-    'cancelada': { 
-      label: 'Cancelada', 
-      bgColor: '#fee2e2', 
-      borderColor: '#dc2626', 
-      textColor: '#991b1b' 
+  return {
+    template: range.days === 1 ? 'daily-agenda' : 'multi-day-agenda',
+    data: {
+      ...common,
+      ...(range.days === 1 ? { date: range.startDate } : { startDate: range.startDate, days: range.days }),
+      members: Object.values(memberGroups)
     },
-    'no_asistio': { 
-      label: 'No asistió', 
-      bgColor: '#fed7aa', 
-      borderColor: '#ea580c', 
-      textColor: '#9a3412' 
-    }
+    filename: `agenda-${config.organizations.id}-${rangeSuffix}-${Date.now()}.png`,
+    storage
   };
+}
 
-  // Convertir memberGroups a formato array para procesamiento
-  const members = Object.values(memberGroups).map(group => ({
-    id: group.member.id || 'unknown',
-    name: `${group.member.first_name} ${group.member.last_name}`,
-    appointments: group.appointments.map(apt => {
-      // Calcular end_time si no existe basado en start_time + duración del servicio
-      let endTime = apt.end_time;
-      if (!endTime && apt.services && apt.services.duration_minutes) {
-        const startMinutes = timeToMinutes(apt.start_time);
-        const endMinutes = startMinutes + apt.services.duration_minutes;
-        endTime = minutesToTime(endMinutes);
-      } else if (!endTime) {
-        // Fallback: agregar 30 minutos por defecto
-        const startMinutes = timeToMinutes(apt.start_time);
-        endTime = minutesToTime(startMinutes + 30);
-      }
-      
-      return {
-        start_time: apt.start_time,
-        end_time: endTime,
-        client: `${apt.contacts.first_name} ${apt.contacts.last_name}`,
-        service: apt.services.name,
-        status: apt.status || 'programada'
-      };
-    })
-  }));
-
-  // Calcular horario automático basado en las citas del día
-  let earliestTime = 24 * 60; // 24:00 en minutos
-  let latestTime = 0; // 00:00 en minutos
-  
-  // Encontrar la cita más temprana y más tardía
-  members.forEach(member => {
-    member.appointments.forEach(appointment => {
-      const startMin = timeToMinutes(appointment.start_time);
-      const endMin = timeToMinutes(appointment.end_time);
-      
-      if (startMin < earliestTime) earliestTime = startMin;
-      if (endMin > latestTime) latestTime = endMin;
-    });
-  });
+// Función para generar las imágenes de agenda con el microservicio de imágenes.
+// El servicio es dueño del layout: aquí solo se envían los datos. Devuelve un
+// { imageUrl, imageExpiresAt, imageBucket, imagePath, error } por agenda, en el mismo orden; un fallo no afecta al resto.
+async function generateAgendaImages(agendas) {
+  if (agendas.length === 0) {
+    return [];
+  }
   
-  // Si no hay citas, usar horario por defecto
-  if (earliestTime === 24 * 60) {
-    earliestTime = 8 * 60; // 8:00 AM
-    latestTime = 18 * 60;  // 6:00 PM
-  } else {
-    // Agregar margen de 1 hora antes y después
-    earliestTime = Math.max(0, earliestTime - 60); // No antes de 00:00
-    latestTime = Math.min(24 * 60, latestTime + 60); // No después de 24:00
+  // Con una agenda por profesional el lote puede pasar del máximo del servicio
+  // (MAX_BATCH_ITEMS): se parte en varias llamadas, una detrás de otra
+  const images = [];
+  for (let start = 0; start < agendas.length; start += agendaBatchSize) {
+    images.push(...await generateAgendaImageBatch(agendas.slice(start, start + agendaBatchSize)));
   }
   
-  const startHour = Math.floor(earliestTime / 60);
-  const endHour = Math.ceil(latestTime / 60);
-  const totalMinutes = (endHour - startHour) * 60;
-  const startMinutes = startHour * 60;
-
-  // Detectar overlaps y organizar citas lado a lado
-  const processedMembers = members.map(member => {
-    const sortedAppointments = [...member.appointments].sort((a, b) => 
-      timeToMinutes(a.start_time) - timeToMinutes(b.start_time)
-    );
-
-    const appointmentsWithColumns = [];
-    
-    sortedAppointments.forEach(appointment => {
-      const startMin = timeToMinutes(appointment.start_time);
-      const endMin = timeToMinutes(appointment.end_time);
-      
-      // Buscar qué columna puede usar (detectar overlaps)
-      let column = 0;
-      while (appointmentsWithColumns.some(existing => 
-        existing.column === column &&
-        !(endMin <= timeToMinutes(existing.start_time) || startMin >= timeToMinutes(existing.end_time))
-      )) {
-        column++;
-      }
-      
-      appointmentsWithColumns.push({
-        ...appointment,
-        column,
-        startMinutes: startMin,
-        endMinutes: endMin,
-        duration: endMin - startMin
-      });
-    });
+  return images;
+}
 
-    const maxColumns = Math.max(...appointmentsWithColumns.map(apt => apt.column), 0) + 1;
+// Función para generar un lote de imágenes en una sola llamada al servicio
+async function generateAgendaImageBatch(agendas) {
+  console.log(`🎨 Generating ${agendas.length} agenda images in one batch`);
+  
+  try {
+    const response = await fetch(`${imageGeneratorUrl}/generate-images/batch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': imageGeneratorApiKey,
+      },
+      body: JSON.stringify({
+        items: agendas.map(toAgendaImageItem)
+      })
+    });
     
-    return {
-      ...member,
-      appointments: appointmentsWithColumns,
-      maxColumns
-    };
-  });
-
-  let html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * {
-          margin: 0;
-          padding: 0;
-          box-sizing: border-box;
-        }
-        
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          background: #f8fafc;
-          padding: 20px;
-          line-height: 1.4;
-        }
-        
-        .header {
-          text-align: center;
-          margin-bottom: 30px;
-          background: white;
-          padding: 25px;
-          border-radius: 12px;
-          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-        }
-        
-        .header h1 {
-          color: #1e293b;
-          font-size: 42px;
-          margin-bottom: 8px;
-          font-weight: 700;
-        }
-        
-        .header h2 {
-          color: #64748b;
-          font-size: 23px;
-          font-weight: 500;
-          text-transform: capitalize;
-        }
-        
-        .calendar-container {
-          background: white;
-          border-radius: 12px;
-          overflow: hidden;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-          margin-bottom: 20px;
-        }
-        
-        .calendar-header {
-          display: grid;
-          grid-template-columns: 100px repeat(${members.length}, 1fr);
-          border-bottom: 2px solid #cbd5e1;
-        }
-        
-        .time-header {
-          background: #f1f5f9;
-          font-weight: 600;
-          color: #475569;
-          text-align: center;
-          padding: 16px 12px;
-          border-right: 1px solid #cbd5e1;
-          font-size: 17px;
-        }
-        
-        .member-header {
-          background: #000000;
-          color: white;
-          font-weight: 600;
-          text-align: center;
-          font-size: 21px;
-          padding: 16px 12px;
-          border-right: 1px solid #cbd5e1;
-        }
-        
-        .calendar-body {
-          display: grid;
-          grid-template-columns: 100px repeat(${members.length}, 1fr);
-          position: relative;
-        }
-        
-        .time-column {
-          background: #f8fafc;
-          border-right: 1px solid #cbd5e1;
-        }
-        
-        .time-slot {
-          height: 60px;
-          border-bottom: 1px solid #cbd5e1;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 17px;
-          font-weight: 500;
-          color: #64748b;
-        }
-        
-        .member-column {
-          position: relative;
-          border-right: 1px solid #cbd5e1;
-          background: white;
-        }
-        
-        .time-grid-line {
-          position: absolute;
-          left: 0;
-          right: 0;
-          height: 1px;
-          background: #cbd5e1;
-          z-index: 1;
-        }
-        
-        .appointment {
-          position: absolute;
-          left: 4px;
-          right: 4px;
-          border-radius: 6px;
-          padding: 6px 8px;
-          font-size: 14px;
-          border: 1px solid;
-          z-index: 10;
-          overflow: hidden;
-        }
-        
-        .appointment-overlap {
-          right: 50% !important;
-          margin-right: 2px;
-        }
-        
-        .appointment-overlap.column-1 {
-          left: 50% !important;
-          right: 4px !important;
-          margin-left: 2px;
-          margin-right: 0;
-        }
-        
-        .appointment-client {
-          font-weight: 600;
-          margin-bottom: 2px;
-          font-size: 16px;
-          white-space: nowrap;
-          overflow: hidden;
-          text-overflow: ellipsis;
-        }
-        
-        .appointment-service {
-          font-size: 13px;
-          opacity: 0.9;
-          margin-bottom: 2px;
-          white-space: nowrap;
-          overflow: hidden;
-          text-overflow: ellipsis;
-        }
-        
-        .appointment-time {
-          font-size: 12px;
-          opacity: 0.7;
-          font-weight: 500;
-        }
-        
-        .legend {
-          display: flex;
-          justify-content: center;
-          gap: 20px;
-          padding: 20px;
-          background: white;
-          border-radius: 8px;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.05);
-          flex-wrap: wrap;
-        }
-        
-        .legend-item {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          font-size: 16px;
-          font-weight: 500;
-        }
-        
-        .legend-dot {
-          width: 16px;
-          height: 16px;
-          border-radius: 4px;
-          border: 1px solid;
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    return result.results.map(item => item.success
+      ? {
+          imageUrl: item.imageUrl,
+          imageExpiresAt: item.expiresAt,
+          imageBucket: item.bucket,
+          imagePath: item.path,
+          warnings: item.warnings || [],
+          error: null
         }
-        
-        ${Object.entries(APPOINTMENT_STATES).map(([status, config]) => `
-          .appointment.${status} {
-            background: ${config.bgColor};
-            border-color: ${config.borderColor};
-            color: ${config.textColor};
-          }
-          .legend-dot.${status} {
-            background: ${config.bgColor};
-            border-color: ${config.borderColor};
-          }
-        `).join('')}
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>📅 Agenda Diaria ${organization.name}</h1>
-        <h2>${formatDate(date)}</h2>
-      </div>
-      
-      <div class="calendar-container">
-        <div class="calendar-header">
-          <div class="time-header">Hora</div>
-          ${members.map(member => `<div class="member-header">${member.name}</div>`).join('')}
-        </div>
-        
-        <div class="calendar-body">
-          <!-- Time column -->
-          <div class="time-column">
-            ${Array.from({length: (endHour - startHour) * 2}, (_, i) => {
-              const minutes = startMinutes + (i * 30);
-              const time = minutesToTime(minutes);
-              return `<div class="time-slot">${time}</div>`;
-            }).join('')}
-          </div>
-          
-          <!-- Member columns -->
-          ${processedMembers.map((member, memberIndex) => `
-            <div class="member-column" style="height: ${(endHour - startHour) * 120}px;">
-              <!-- Grid lines every 30 minutes -->
-              ${Array.from({length: (endHour - startHour) * 2 + 1}, (_, i) => 
-                `<div class="time-grid-line" style="top: ${i * 60}px;"></div>`
-              ).join('')}
-              
-              <!-- Appointments -->
-              ${member.appointments.map(appointment => {
-                const topPosition = ((appointment.startMinutes - startMinutes) / totalMinutes) * ((endHour - startHour) * 120);
-                const height = (appointment.duration / totalMinutes) * ((endHour - startHour) * 120);
-                const hasOverlap = member.maxColumns > 1;
-                
-                return `
-                  <div class="appointment ${appointment.status} ${hasOverlap ? 'appointment-overlap' : ''} ${appointment.column > 0 ? 'column-' + appointment.column : ''}" 
-                       style="top: ${topPosition}px; height: ${height}px;">
-                    <div class="appointment-client">${appointment.client}</div>
-                    <div class="appointment-service">${appointment.service}</div>
-                    <div class="appointment-time">${appointment.start_time} - ${appointment.end_time}</div>
-                  </div>
-                `;
-              }).join('')}
-            </div>
-          `).join('')}
-        </div>
-      </div>
-      
-      <div class="legend">
-        ${Object.entries(APPOINTMENT_STATES).map(([status, config]) => `
-          <div class="legend-item">
-            <div class="legend-dot ${status}"></div>
-            <span>${config.label}</span>
-          </div>
-        `).join('')}
-      </div>
-    </body>
-    </html>
-  `;
-
-  return html;
-} 
\ No newline at end of file
+      : { imageUrl: null, error: item.error });
+    
+  } catch (error) {
+    console.error('❌ Error generating agenda images:', error);
+    
+    // Si falla el lote completo, todas las agendas quedan sin imagen
+    return agendas.map(() => ({ imageUrl: null, error: error.message }));
+  }
+}